@@ -60,8 +60,12 @@ properties.dynamic(new Metadata(Config.get('metadata')), 'instance');
 properties.dynamic(new Tags(Config.get('tags')), 'instance:tags');
 properties.static(Config.get('properties'));
 
-// Create the Index source
-sources.index(new S3('index', Config.get('index')));
+// Create the Index sources
+if (Config.get('indices') instanceof Array) {
+  sources.configure(Config.get('indices'), Config.get('index'));
+} else {
+  sources.index(new S3('index', Config.get('index')));
+}
 
 // Go!
 sources.initialize();
@@ -69,7 +73,11 @@ sources.initialize();
 // Register endpoints
 require('../lib/control/v1/core').attach(app, sources);
 require('../lib/control/v1/properties').attach(app, properties);
+require('../lib/control/v1/explain').attach(app, properties);
+require('../lib/control/v1/history').attach(app, properties);
+require('../lib/control/v1/events').attach(app, properties, sources);
 require('../lib/control/v1/conqueso').attach(app, properties);
+require('../lib/control/v1/errors').attach(app);
 
 // Instantiate server and start it
 const host = Config.get('service:hostname');
@@ -4,6 +4,8 @@ const flatten = require('flat');
 const clone = require('clone');
 
 const STATUS_CODES = require('../../util/status-codes');
+const Errors = require('./errors');
+const escapeJava = require('../../util/serializers').escapeJava;
 
 /**
  * Format the given data as Java properties
@@ -16,7 +18,7 @@ function makeJavaProperties(data) {
 
   for (const key in data) {
     if (data.hasOwnProperty(key)) {
-      results.push(key + '=' + data[key]);
+      results.push(escapeJava(key, true) + '=' + escapeJava(String(data[key]), false));
     }
   }
 
@@ -82,7 +84,7 @@ function makeConquesoProperties(properties) {
  */
 function Conqueso(app, storage) {
   // Conqueso compatible APIs are defined before the generic catch all route.
-  app.get('/v1/conqueso/api/roles/:role/properties/:property', (req, res) => {
+  app.get('/v1/conqueso/api/roles/:role/properties/:property', Errors.ready(storage), (req, res) => {
     const property = req.params.property;
 
     storage.properties.then((props) => {
@@ -113,7 +115,7 @@ function Conqueso(app, storage) {
     res.end();
   }
 
-  route.get((req, res) => {
+  route.get(Errors.ready(storage), (req, res) => {
     storage.properties.then((props) => {
       res.set('Content-Type', 'text/plain');
       res.end(makeJavaProperties(makeConquesoProperties(props)));
@@ -9,6 +9,7 @@ try {
 }
 
 const STATUS_CODES = require('../../util/status-codes');
+const Errors = require('./errors');
 const Source = require('../../source/common');
 
 const started = Date.now();
@@ -33,8 +34,8 @@ function Core(app, sources) {
    */
   const methodNotAllowed = (req, res) => {
     res.set('Allow', allowedMethods);
-    res.status(STATUS_CODES.METHOD_NOT_ALLOWED);
-    res.end();
+    Errors.send(res, Errors.error(STATUS_CODES.METHOD_NOT_ALLOWED,
+      `${req.method} is not allowed on ${req.path}`));
   };
 
   routes.health.get((req, res) => {
@@ -71,7 +72,9 @@ function Core(app, sources) {
       version: VERSION,
       index: v1indices[0],
       indices: v1indices,
-      sources: v1sources
+      sources: v1sources,
+      skipped: health.skipped,
+      unresolved: health.unresolved
     });
   });
 
@@ -0,0 +1,117 @@
+'use strict';
+
+const STATUS_CODES = require('../../util/status-codes');
+
+/**
+ * Create an error that is returned to an API client. Errors are created by a factory,
+ * rather than an Error subclass, because transpiled classes can't extend Error.
+ *
+ * @param  {Number} status   HTTP status code
+ * @param  {String} message
+ * @param  {Object} details  Added to the response body
+ * @return {Error}
+ */
+const error = (status, message, details) => Object.assign(new Error(message), {
+  status,
+  details: details || {}
+});
+
+exports.error = error;
+
+/**
+ * Get the response body for an error
+ *
+ * @param  {Error} err  See error()
+ * @return {Object}
+ */
+const body = (err) => Object.assign({
+  status: err.status,
+  error: STATUS_CODES[err.status],
+  message: err.message
+}, err.details);
+
+exports.body = body;
+
+/**
+ * Respond with an error
+ *
+ * @param {Express.res} res
+ * @param {Error}       err  See error()
+ */
+const send = (res, err) => {
+  res.status(err.status).json(body(err));
+};
+
+exports.send = send;
+
+/**
+ * Build a 404 (Not Found) error for a property that doesn't exist
+ *
+ * @param  {Array<String>} path     Keys of the requested property
+ * @param  {Number}        missing  The index of the first key that doesn't exist
+ * @return {Error}
+ */
+exports.notFound = function notFound(path, missing) {
+  const message = missing === 0 ?
+    `Property ${path[0]} not found` :
+    `Key ${path[missing]} does not exist in property ${path.slice(0, missing).join(':')}`;
+
+  return error(STATUS_CODES.NOT_FOUND, message, {
+    property: path.join(':'),
+    missing: path[missing]
+  });
+};
+
+/**
+ * Build a 400 (Bad Request) error for an invalid query parameter
+ *
+ * @param  {String} parameter
+ * @param  {String} message
+ * @return {Error}
+ */
+exports.badRequest = function badRequest(parameter, message) {
+  return error(STATUS_CODES.BAD_REQUEST, message, {parameter});
+};
+
+/**
+ * Build middleware that responds with 503 (Service Unavailable) until properties
+ * have been built for the first time
+ *
+ * @param  {Properties} storage
+ * @return {Function}
+ */
+exports.ready = function ready(storage) {
+  return (req, res, next) => {
+    if (storage.built) {
+      next();
+
+      return;
+    }
+
+    send(res, error(STATUS_CODES.SERVICE_UNAVAILABLE, 'Properties have not been built yet'));
+  };
+};
+
+/**
+ * Respond to requests that don't match a v1 route with 404 (Not Found), and to
+ * unexpected errors with 500 (Internal Server Error). This must be attached after
+ * all other v1 routes.
+ *
+ * @param {Express.App} app
+ */
+exports.attach = function attach(app) {
+  app.use('/v1', (req, res) => {
+    send(res, error(STATUS_CODES.NOT_FOUND, `No route for ${req.method} ${req.originalUrl}`));
+  });
+
+  app.use('/v1', (err, req, res, next) => { // eslint-disable-line no-unused-vars
+    if (err.details) {
+      send(res, err);
+
+      return;
+    }
+
+    Log.log('ERROR', err);
+    send(res, error(STATUS_CODES.INTERNAL_SERVER_ERROR, 'Unable to handle the request'));
+  });
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const STATUS_CODES = require('../../util/status-codes');
+
+// Interval between comments that keep idle connections open
+const HEARTBEAT_INTERVAL = 30000;
+
+/**
+ * Format a Server-Sent Event
+ *
+ * @param  {String} event
+ * @param  {Object} data
+ * @return {String}
+ */
+const format = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * Server-Sent Events API. Streams an event whenever properties are built, and when
+ * a source updates, fails or shuts down.
+ *
+ * @param {Express.App} app
+ * @param {Properties} properties
+ * @param {Sources} sources
+ */
+exports.attach = function attach(app, properties, sources) {
+  const clients = new Set();
+  const subscribed = new WeakSet();
+  let revision = properties.history.revision;
+
+  /**
+   * Send an event to every connected client
+   *
+   * @param {String} event
+   * @param {Object} data
+   */
+  const broadcast = (event, data) => {
+    const message = format(event, data);
+
+    clients.forEach((res) => res.write(message));
+  };
+
+  /**
+   * Forward the state changes of sources that haven't been seen before
+   */
+  const subscribe = () => {
+    sources.indices.concat(properties.sources).forEach((source) => {
+      if (subscribed.has(source)) {
+        return;
+      }
+      subscribed.add(source);
+
+      source.on('update', () => broadcast('update', {source: source.status()}));
+      source.on('shutdown', () => broadcast('shutdown', {source: source.status()}));
+
+      // EventSource clients handle `error` events as connection failures
+      source.on('error', (err) => broadcast('source-error', {source: source.status(), error: err.message}));
+    });
+  };
+
+  properties.on('build', () => {
+    const current = properties.history.revision;
+    const changes = current === revision ? null : properties.history.get(current);
+    const paths = (key) => (changes ? changes[key].map((change) => change.property) : []);
+
+    revision = current;
+    broadcast('build', {revision, added: paths('added'), removed: paths('removed'), changed: paths('changed')});
+
+    // Builds follow the activation of new sources
+    subscribe();
+  });
+
+  subscribe();
+
+  app.get('/v1/events', function handler(req, res) {
+    res.status(STATUS_CODES.OK);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+    clients.add(res);
+    req.once('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  });
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+const Errors = require('./errors');
+
+/**
+ * Property provenance API
+ *
+ * @param {Express.App} app
+ * @param {Properties} storage
+ */
+exports.attach = function attach(app, storage) {
+  app.get('/v1/explain/:property*', Errors.ready(storage), function handler(req, res) {
+    const path = [req.params.property].concat(req.params[0].split('/').filter(Boolean));
+    const explanation = storage.explain(path);
+
+    if (!explanation) {
+      // Name the shortest part of the path that no layer sets
+      let missing = 0;
+
+      while (missing < path.length - 1 && storage.explain(path.slice(0, missing + 1))) {
+        missing += 1;
+      }
+
+      return Errors.send(res, Errors.notFound(path, missing));
+    }
+
+    res.json(explanation);
+  });
+};
@@ -0,0 +1,36 @@
+'use strict';
+
+const STATUS_CODES = require('../../util/status-codes');
+const Errors = require('./errors');
+
+/**
+ * Property change history API
+ *
+ * @param {Express.App} app
+ * @param {Properties} storage
+ */
+exports.attach = function attach(app, storage) {
+  app.get('/v1/history', Errors.ready(storage), function handler(req, res) {
+    res.json({
+      revision: storage.history.revision,
+      revisions: storage.history.revisions.map((revision) => ({
+        revision: revision.revision,
+        timestamp: revision.timestamp,
+        added: revision.added.length,
+        removed: revision.removed.length,
+        changed: revision.changed.length
+      })).reverse()
+    });
+  });
+
+  app.get('/v1/history/:revision/diff', Errors.ready(storage), function handler(req, res) {
+    const revision = storage.history.get(Number(req.params.revision));
+
+    if (!revision) {
+      return Errors.send(res, Errors.error(STATUS_CODES.NOT_FOUND,
+        `Revision ${req.params.revision} not found`, {missing: req.params.revision}));
+    }
+
+    res.json(revision);
+  });
+};
@@ -1,7 +1,111 @@
 'use strict';
 
-const getNestedProperty = require('../../util').getNestedProperty;
+const findNestedProperty = require('../../util').findNestedProperty;
+const Errors = require('./errors');
 const STATUS_CODES = require('../../util/status-codes');
+const Serializers = require('../../util/serializers');
+const Query = require('../../util/query');
+
+// Milliseconds in each unit of a `wait` duration
+const UNITS = {ms: 1, s: 1000, m: 60000, h: 3600000};
+
+const DEFAULT_WAIT = 300000;
+const MAX_WAIT = 600000;
+
+/**
+ * Get a snapshot's ETag for an output format
+ *
+ * @param  {Object} snapshot  See Properties#snapshot
+ * @param  {String} format
+ * @return {String}
+ */
+const etag = (snapshot, format) => (format === 'json' ? snapshot.etag : snapshot.etag.replace(/"$/, `-${format}"`));
+
+/**
+ * Set a snapshot's validators on a response, and respond with 304 (Not Modified)
+ * if the request's `If-None-Match` header matches. Each output format has its
+ * own ETag.
+ *
+ * @param  {Express.req} req
+ * @param  {Express.res} res
+ * @param  {Object}      snapshot  See Properties#snapshot
+ * @return {Boolean}               True if the request has been responded to
+ */
+const conditional = (req, res, snapshot) => {
+  res.set('ETag', etag(snapshot, res.locals.format));
+  res.set('X-Propsd-Revision', String(snapshot.revision));
+  res.vary('Accept');
+
+  if (!req.fresh) {
+    return false;
+  }
+
+  res.status(STATUS_CODES.NOT_MODIFIED).end();
+
+  return true;
+};
+
+/**
+ * Respond with a value in the request's output format
+ *
+ * @param {Express.req} req
+ * @param {Express.res} res
+ * @param {*}           value
+ */
+const respond = (req, res, value) => {
+  const format = res.locals.format;
+
+  if (format === 'json') {
+    res.json(value);
+
+    return;
+  }
+
+  const serializer = Serializers.SERIALIZERS[format];
+  let body = null;
+
+  try {
+    body = serializer.serialize(value, req.query);
+  } catch (err) {
+    Log.log('WARN', `Unable to serialize properties as ${format}: ${err.message}`);
+    Errors.send(res, Errors.error(STATUS_CODES.NOT_ACCEPTABLE,
+      `Unable to serialize properties as ${format}: ${err.message}`, {format}));
+
+    return;
+  }
+
+  res.type(serializer.type).send(body);
+};
+
+/**
+ * Parse a duration like `60s`, `5m` or `500ms`. Durations without a unit are seconds.
+ *
+ * @param  {String} value
+ * @return {Number|null}  Milliseconds, or null if the duration isn't valid
+ */
+const duration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)(ms|s|m|h)?$/.exec(String(value).trim());
+
+  if (!match) {
+    return null;
+  }
+
+  return Number(match[1]) * UNITS[match[2] || 's'];
+};
+
+/**
+ * Get the value of a JSON-serialized subtree, for change detection
+ *
+ * @param  {Object}        properties
+ * @param  {Array<String>} path
+ * @param  {Function}      query       Selects the parts of the subtree that are returned
+ * @return {String|undefined}
+ */
+const subtree = (properties, path, query) => {
+  const found = findNestedProperty(properties, path);
+
+  return found.missing === -1 ? JSON.stringify(query(found.value)) : undefined;
+};
 
 /**
  * JSON output API
@@ -10,31 +114,136 @@ const STATUS_CODES = require('../../util/status-codes');
  * @param {Properties} storage
  */
 exports.attach = function attach(app, storage) {
-  app.get('/v1/properties/:property*', function handler(req, res, next) {
-    storage.properties.then((properties) => {
-      const prop = req.params.property;
+  const waiting = new Set();
 
-      Log.log('INFO', 'Params: ', req.params);
+  // Transform each build once for every blocked request, rather than once for each of them
+  storage.on('build', () => {
+    if (waiting.size === 0) {
+      return;
+    }
 
-      if (!properties[prop]) {
-        return next(new Error(`Property ${prop} not found`));
-      }
+    storage.snapshot.then((snapshot) => waiting.forEach((notify) => notify(snapshot)));
+  });
+
+  /**
+   * Block a request with an `index` query parameter that matches the current revision
+   * until the properties under a path change, or its `wait` time elapses. This works
+   * like a Consul blocking query.
+   *
+   * Secrets that Tokend rotates change the ETag of the properties, but not their revision,
+   * which only counts changes to the built properties. Requests are released when the ETag
+   * changes, and aren't blocked if their `If-None-Match` header doesn't match the current ETag.
+   *
+   * @param  {Express.req}   req
+   * @param  {Express.res}   res
+   * @param  {Array<String>} path   Keys of the property that the request is for
+   * @return {Promise<Object|null>} The snapshot to respond with, or null if the client went away
+   */
+  const watch = (req, res, path) => storage.snapshot.then((snapshot) => {
+    const query = res.locals.query;
+    const validators = req.get('If-None-Match');
 
-      const value = properties[prop];
-      const extra = req.params[0].split('/').filter(Boolean);
+    if (!req.query.hasOwnProperty('index') || Number(req.query.index) !== snapshot.revision) {
+      return snapshot;
+    }
 
-      res.json(getNestedProperty(value, Array.from(extra)));
+    if (validators && validators.split(',').map((v) => v.trim()).indexOf(etag(snapshot, res.locals.format)) === -1) {
+      return snapshot;
+    }
+
+    const wait = Math.min(req.query.hasOwnProperty('wait') ? duration(req.query.wait) : DEFAULT_WAIT, MAX_WAIT);
+    const previous = subtree(snapshot.properties, path, query);
+
+    return new Promise((resolve) => {
+      let timer = null;
+
+      const finish = (next) => {
+        if (!waiting.has(notify)) { // eslint-disable-line no-use-before-define
+          return;
+        }
+
+        clearTimeout(timer);
+        waiting.delete(notify); // eslint-disable-line no-use-before-define
+        resolve(next);
+      };
+
+      const notify = (next) => {
+        if (next.etag === snapshot.etag || subtree(next.properties, path, query) === previous) {
+          return;
+        }
+
+        finish(next);
+      };
+
+      waiting.add(notify);
+      timer = setTimeout(() => storage.snapshot.then(finish), wait);
+      req.once('close', () => finish(null));
     });
   });
 
-  app.get('/v1/properties*', function handler(req, res) {
-    storage.properties.then((properties) => {
-      res.json(properties);
-    });
+  /**
+   * Pick the request's output format and compile its query, and reject requests
+   * with an invalid `wait` duration, output format or selector
+   *
+   * @param {Express.req} req
+   * @param {Express.res} res
+   * @param {Function}    next
+   */
+  const validate = (req, res, next) => {
+    const query = req.query;
+
+    res.locals.format = Serializers.negotiate(req);
+
+    try {
+      res.locals.query = Query.compile(query);
+    } catch (err) {
+      Errors.send(res, Errors.badRequest('select', err.message));
+
+      return;
+    }
+
+    if (!res.locals.format) {
+      Errors.send(res, Errors.badRequest('format', `Unsupported format ${query.format}`));
+    } else if (query.hasOwnProperty('wait') && duration(query.wait) === null) {
+      Errors.send(res, Errors.badRequest('wait', `Invalid wait duration ${query.wait}`));
+    } else if (query.hasOwnProperty('case') && Serializers.CASES.indexOf(query.case) === -1) {
+      Errors.send(res, Errors.badRequest('case', `Unsupported case ${query.case}`));
+    } else {
+      next();
+    }
+  };
+
+  app.get('/v1/properties/:property*', Errors.ready(storage), validate, function handler(req, res, next) {
+    const path = [req.params.property].concat(req.params[0].split('/').filter(Boolean));
+
+    watch(req, res, path).then((snapshot) => {
+      if (!snapshot) {
+        return;
+      }
+
+      const found = findNestedProperty(snapshot.properties, path);
+
+      if (found.missing !== -1) {
+        Errors.send(res, Errors.notFound(path, found.missing));
+
+        return;
+      }
+
+      if (conditional(req, res, snapshot)) {
+        return;
+      }
+
+      respond(req, res, res.locals.query(found.value));
+    }).catch(next);
   });
 
-  app.use('/v1/properties/:property*', (err, req, res, next) => { // eslint-disable-line no-unused-vars
-    Log.log('ERROR', err);
-    res.status(STATUS_CODES.METHOD_NOT_ALLOWED).json({});
+  app.get('/v1/properties*', Errors.ready(storage), validate, function handler(req, res, next) {
+    watch(req, res, []).then((snapshot) => {
+      if (!snapshot || conditional(req, res, snapshot)) {
+        return;
+      }
+
+      respond(req, res, res.locals.query(snapshot.properties));
+    }).catch(next);
   });
 };
@@ -1,70 +1,137 @@
 'use strict';
+const Crypto = require('crypto');
 const EventEmitter = require('events').EventEmitter;
 const Layer = require('./properties/layer');
 const View = require('./properties/view');
+const Interpolation = require('./properties/interpolation');
+const History = require('./properties/history');
 const TokendTransformer = require('./transformers/tokend');
 const Immutable = require('immutable');
 const isPlainObject = require('lodash.isplainobject');
+const merge = require('./util').merge;
+const directive = require('./util').directive;
 
-/* eslint-disable eqeqeq */
 /**
- * Deep-merge one Object into another. Do _not_ deep merge anything that isn't explicitly
- * a first-order instance of Object.
- *
- * @param  {Object} destination   The destination of the merge operation. This object is mutated
- * @param  {Object} source        The source that properties are merged from
- * @return {Object}               The destination object
+ * Recursively traverses a layer namespace and sets the value at the corresponding place in the object
+ * @param {Object} destination The destination of the merge operation.
+ * @param {Array<String>} namespaceArray An array of keys (namespaces) to traverse
+ * @param {Object} source The source that properties are merged from
+ * @return {Object}
  */
-const merge = (destination, source) => {
-  // Ensure that the destination value is an Object.
+const recusiveNamespaceMerge = (destination, namespaceArray, source) => {
+  const nextNamespace = namespaceArray.shift();
   const dest = isPlainObject(destination) ? destination : {};
 
-  // Only merge source if it's an Object.
-  if (!isPlainObject(source)) {
+  if (namespaceArray.length) {
+    dest[nextNamespace] = recusiveNamespaceMerge(dest[nextNamespace], namespaceArray, source);
+
     return dest;
   }
 
-  Object.keys(source).forEach((key) => {
-    // Ignore null and undefined source values. `== null` covers both
-    if (source[key] == null) {
-      return;
+  dest[nextNamespace] = merge(dest[nextNamespace], source);
+
+  return dest;
+};
+
+/**
+ * Get the value at a path in an object
+ *
+ * @param  {Object}        object
+ * @param  {Array<String>} path
+ * @return {*}             The value, or undefined if it doesn't exist
+ */
+const lookup = (object, path) => path.reduce((node, key) => {
+  if (!isPlainObject(node) && !(node instanceof Array)) {
+    return undefined;
+  }
+
+  return node.hasOwnProperty(key) ? node[key] : undefined;
+}, object);
+
+/**
+ * Check whether transformed properties contain a secret that failed to resolve. Tokend
+ * secrets that can't be fetched are transformed to null.
+ *
+ * @param  {*} transformed
+ * @return {Boolean}
+ */
+const unresolved = (transformed) => {
+  if (transformed === null) {
+    return true;
+  }
+
+  return isPlainObject(transformed) && Object.keys(transformed).some((key) => unresolved(transformed[key]));
+};
+
+/**
+ * Find how a layer changes the value at a path when it's merged, following the merge
+ * directives that it uses. Directives are never indexed into as if they were properties.
+ *
+ * @param  {Object}        root     The layer's properties, nested inside of its namespace
+ * @param  {Array<String>} path
+ * @param  {*}             current  The value at the path before the layer is merged
+ * @return {{reset: Boolean, value: *, current: *}|null}  Null if the layer doesn't set the path. `reset` is
+ *                                  true if the layer discards the values of the layers before it, and
+ *                                  `value` is the value that it contributes, if any
+ */
+const contribution = (root, path, current) => {
+  let node = root;
+
+  for (let i = 0; i < path.length; i++) {
+    if (!isPlainObject(node) || !node.hasOwnProperty(path[i]) || node[path[i]] === null) {
+      return null;
     }
 
-    // Is this an Object (but not something that inherits Object)?
-    if (Object.getPrototypeOf(source[key]) === Object.prototype) {
-      // Recursively merge source Object into destination
-      dest[key] = merge(dest[key], source[key]);
+    const child = node[path[i]];
+    const rest = path.slice(i + 1);
+    const name = directive(child);
 
-      return;
+    if (name === '$delete') {
+      return child.$delete === true ? {reset: true, value: undefined, current: undefined} : null;
     }
 
-    dest[key] = source[key];
-  });
+    if (rest.length === 0) {
+      const next = merge({value: isPlainObject(current) ? merge({}, current) : current}, {value: child}).value;
 
-  return dest;
+      // Appending and prepending contribute the array that results
+      if (name) {
+        return {reset: name === '$replace', value: next, current: next};
+      }
+
+      return {reset: false, value: isPlainObject(child) ? merge({}, child) : child, current: next};
+    }
+
+    // The layer replaces an ancestor of the property with an array, or a value that isn't an
+    // object. The items of an appended or prepended array can't be attributed to one layer.
+    if (name || !isPlainObject(child)) {
+      const value = name === '$append' || name === '$prepend' ?
+        undefined : lookup(merge({}, {value: child}).value, rest);
+
+      return {reset: true, value, current: value};
+    }
+
+    node = child;
+  }
+
+  return null;
 };
-/* eslint-enable eqeqeq */
 
 /**
- * Recursively traverses a layer namespace and sets the value at the corresponding place in the object
- * @param {Object} destination The destination of the merge operation.
- * @param {Array<String>} namespaceArray An array of keys (namespaces) to traverse
- * @param {Object} source The source that properties are merged from
- * @return {Object}
+ * Describe the origin of a layer's properties for provenance
+ *
+ * @param  {Source|Layer} origin  A view's Source, or a persistent Layer
+ * @return {{name: String, type: String, resource: String, updated: Date}}
  */
-const recusiveNamespaceMerge = (destination, namespaceArray, source) => {
-  const nextNamespace = namespaceArray.shift();
-  const dest = isPlainObject(destination) ? destination : {};
+const describe = (origin) => {
+  const source = origin instanceof Layer ? origin.source : origin;
 
-  if (namespaceArray.length) {
-    dest[nextNamespace] = recusiveNamespaceMerge(dest[nextNamespace], namespaceArray, source);
-
-    return dest;
+  if (!source) {
+    return {name: origin.namespace || 'properties', type: 'static', resource: null, updated: null};
   }
 
-  dest[nextNamespace] = merge(dest[nextNamespace], source);
+  const status = source.status();
 
-  return dest;
+  return {name: status.name, type: status.type, resource: status.resource || null, updated: status.updated};
 };
 
 /**
@@ -79,6 +146,7 @@ class Properties extends EventEmitter {
     super();
 
     this.initialized = false;
+    this.built = false;
 
     this.layers = [];
     this._properties = Immutable.Map();
@@ -86,6 +154,20 @@ class Properties extends EventEmitter {
     this.tokendTransformer = new TokendTransformer({
       cacheTTL: Config.get('cacheTTL')
     });
+
+    // Render templates in property values against the built properties
+    this.interpolate = Config.get('interpolate') === true;
+    this.unresolved = [];
+
+    // The layers of the last build, in the order that they were merged
+    this.origins = [];
+    this.history = new History(Config.get('history:size'));
+
+    // Transform the properties again when a secret changes
+    this._snapshot = null;
+    this.tokendTransformer.on('update', () => {
+      this._snapshot = null;
+    });
   }
 
   /**
@@ -110,10 +192,56 @@ class Properties extends EventEmitter {
    * @return {Promise<Object>}
    */
   get properties() {
-    return this.tokendTransformer
-      .transform(this._properties).then((transformedProperties) => { // eslint-disable-line arrow-body-style
-        return Immutable.Map(this._properties).mergeDeep(transformedProperties).toJS();
-      });
+    return this._transform(this._properties).then((transformed) => transformed.properties);
+  }
+
+  /**
+   * The transformed properties of the last build, along with the build's revision and
+   * an ETag computed from their content. Properties are transformed once for each build,
+   * and again after Tokend reports that a secret has changed, or if a secret failed to
+   * resolve.
+   *
+   * @return {Promise<{revision: Number, etag: String, properties: Object}>}
+   */
+  get snapshot() {
+    if (this._snapshot) {
+      return this._snapshot;
+    }
+
+    // Read the revision and the properties from the same build
+    const revision = this.history.revision;
+    const snapshot = this._transform(this._properties).then((transformed) => {
+      const etag = Crypto.createHash('sha1').update(JSON.stringify(transformed.properties)).digest('hex');
+
+      if (!transformed.resolved && this._snapshot === snapshot) {
+        this._snapshot = null;
+      }
+
+      return {revision, etag: `"${etag}"`, properties: transformed.properties};
+    }, (err) => {
+      if (this._snapshot === snapshot) {
+        this._snapshot = null;
+      }
+
+      throw err;
+    });
+
+    this._snapshot = snapshot;
+
+    return snapshot;
+  }
+
+  /**
+   * Resolve the $tokend values in a set of properties
+   *
+   * @param  {Object} properties
+   * @return {Promise<{properties: Object, resolved: Boolean}>}  Resolved is false if any secret failed to resolve
+   */
+  _transform(properties) {
+    return this.tokendTransformer.transform(properties).then((transformed) => ({
+      properties: Immutable.Map(properties).mergeDeep(transformed).toJS(),
+      resolved: !unresolved(transformed)
+    }));
   }
 
   /**
@@ -169,6 +297,54 @@ class Properties extends EventEmitter {
     });
   }
 
+  /**
+   * Explain where the value of a property came from in the last build. Every layer
+   * that sets the property is a contributor: the last of them provides the value,
+   * and shadows the others.
+   *
+   * @param  {Array<String>} path  Keys of the property
+   * @return {Object|null}         Null if the property isn't in the last build
+   */
+  explain(path) {
+    if (typeof lookup(this._properties, path) === 'undefined') {
+      return null;
+    }
+
+    let current;
+
+    const contributors = this.origins.reduce((found, origin) => {
+      const namespace = origin.namespace ? origin.namespace.split(':') : [];
+      const root = namespace.reduceRight((properties, key) => ({[key]: properties}), origin.properties);
+      const change = contribution(root, path, current);
+
+      if (!change) {
+        return found;
+      }
+
+      current = change.current;
+
+      // Deleting or replacing the property ends the list of contributors
+      const kept = change.reset ? [] : found;
+
+      if (typeof change.value === 'undefined') {
+        return kept;
+      }
+
+      return kept.concat(Object.assign({value: change.value}, origin.description));
+    }, []);
+
+    if (contributors.length === 0) {
+      return null;
+    }
+
+    return {
+      property: path.join(':'),
+      value: lookup(this._properties, path),
+      source: contributors[contributors.length - 1],
+      shadowed: contributors.slice(0, -1).reverse()
+    };
+  }
+
   /**
    * Flatten layers and view's sources into one properties object
    *
@@ -204,12 +380,40 @@ class Properties extends EventEmitter {
       }, {});
 
       this.persistent = persistent;
+      this.origins = this.active.sources.concat(this.layers).map((origin) => ({
+        properties: origin.properties,
+        namespace: origin.namespace || null,
+        description: describe(origin)
+      }));
+
       this._properties = merge(
         this.active.sources.reduce((properties, source) => merge(properties, source.properties), {}),
         persistent
       );
 
-      this.emit('build', this.properties);
+      if (this.interpolate) {
+        const interpolated = Interpolation.render(this._properties);
+
+        this._properties = interpolated.properties;
+        this.unresolved = interpolated.errors;
+
+        this.unresolved.forEach((error) => {
+          Log.log('WARN', `Unable to interpolate property ${error.property}: ${error.reason}`);
+        });
+      }
+
+      const revision = this.history.record(this._properties);
+
+      if (revision) {
+        Log.log('INFO', `Built properties revision ${revision.revision}: ${revision.added.length} added, ` +
+          `${revision.removed.length} removed, ${revision.changed.length} changed`);
+      }
+
+      // Transform the new build once, for listeners and requests alike
+      this._snapshot = null;
+      this.built = true;
+
+      this.emit('build', this.snapshot.then((snapshot) => snapshot.properties));
       delete this._building;
     }, Properties.BUILD_HOLD_DOWN);
 
@@ -0,0 +1,129 @@
+'use strict';
+const DeepEqual = require('deep-equal');
+const isPlainObject = require('lodash.isplainobject');
+
+/**
+ * Flatten a document into a hash of colon-delimited key paths to leaf values. Arrays
+ * and empty objects are leaves.
+ *
+ * @param  {*}             node
+ * @param  {Array<String>} path
+ * @param  {Object}        collected
+ * @return {Object}
+ */
+const leaves = (node, path, collected) => {
+  if (isPlainObject(node) && Object.keys(node).length > 0) {
+    Object.keys(node).forEach((key) => leaves(node[key], path.concat(key), collected));
+
+    return collected;
+  }
+
+  if (path.length > 0) {
+    collected[path.join(':')] = node;
+  }
+
+  return collected;
+};
+
+/**
+ * A bounded record of the changes between successive builds of a Properties instance
+ *
+ * @class History
+ */
+class History {
+  /**
+   * Constructor
+   * @param {Number} size  The number of revisions to keep
+   */
+  constructor(size) {
+    this.size = Number(size) || History.DEFAULT_SIZE;
+    this.revision = 0;
+    this.revisions = [];
+    this.current = {};
+  }
+
+  /**
+   * Compare two documents
+   *
+   * @param  {Object} previous
+   * @param  {Object} next
+   * @return {{added: Array, removed: Array, changed: Array}}  Key paths and redacted values
+   */
+  static diff(previous, next) {
+    const a = leaves(previous, [], {});
+    const b = leaves(next, [], {});
+    const diff = {added: [], removed: [], changed: []};
+
+    Object.keys(b).sort().forEach((property) => {
+      if (!a.hasOwnProperty(property)) {
+        diff.added.push({property, value: this.redact(property, b[property])});
+      } else if (!DeepEqual(a[property], b[property], {strict: true})) {
+        diff.changed.push({
+          property,
+          from: this.redact(property, a[property]),
+          to: this.redact(property, b[property])
+        });
+      }
+    });
+
+    Object.keys(a).sort().forEach((property) => {
+      if (!b.hasOwnProperty(property)) {
+        diff.removed.push({property, value: this.redact(property, a[property])});
+      }
+    });
+
+    return diff;
+  }
+
+  /**
+   * Hide the value of a property if any of its keys look like they hold a secret
+   *
+   * @param  {String} property  A colon-delimited key path
+   * @param  {*}      value
+   * @return {*}
+   */
+  static redact(property, value) {
+    return property.split(':').some((key) => this.SECRET.test(key)) ? this.REDACTED : value;
+  }
+
+  /**
+   * Record a build. Builds that don't change any properties aren't recorded.
+   *
+   * @param  {Object} properties  The built properties
+   * @return {Object|null}        The new revision, if there was a change
+   */
+  record(properties) {
+    const diff = this.constructor.diff(this.current, properties);
+
+    this.current = properties;
+    if (diff.added.length + diff.removed.length + diff.changed.length === 0) {
+      return null;
+    }
+
+    this.revision += 1;
+    const revision = Object.assign({revision: this.revision, timestamp: new Date()}, diff);
+
+    this.revisions.push(revision);
+    if (this.revisions.length > this.size) {
+      this.revisions.shift();
+    }
+
+    return revision;
+  }
+
+  /**
+   * Get a recorded revision
+   *
+   * @param  {Number} number
+   * @return {Object|null}  Null if the revision is unknown, or has been dropped
+   */
+  get(number) {
+    return this.revisions.find((revision) => revision.revision === number) || null;
+  }
+}
+
+History.DEFAULT_SIZE = 100; // eslint-disable-line rapid7/static-magic-numbers
+History.SECRET = /password|passwd|secret|token|credential|private[-_.]?key|api[-_.]?key/i;
+History.REDACTED = '[REDACTED]';
+
+module.exports = History;
@@ -0,0 +1,137 @@
+'use strict';
+const StringTemplate = require('../string-template');
+const isPlainObject = require('lodash.isplainobject');
+
+/**
+ * A StringTemplate that looks up parameters through an Interpolation, so that
+ * parameters which are themselves templates are rendered before they're used
+ *
+ * @class Template
+ * @extends StringTemplate
+ */
+class Template extends StringTemplate {
+  /**
+   * Constructor
+   * @param {String}        template
+   * @param {Interpolation} interpolation
+   * @param {Array<String>} trail          Keys of the properties being rendered
+   */
+  constructor(template, interpolation, trail) {
+    super(template, interpolation.document);
+
+    this.interpolation = interpolation;
+    this.trail = trail;
+  }
+
+  /**
+   * Resolve a parameter through the Interpolation
+   *
+   * @param  {Array<String>} path
+   * @return {*}
+   */
+  lookup(path) {
+    return this.interpolation.resolve(path, this.trail);
+  }
+}
+
+/**
+ * Render template strings in property values against the document that they're
+ * part of. Properties may reference other templated properties, as long as the
+ * references don't form a cycle.
+ *
+ * @class Interpolation
+ */
+class Interpolation {
+  /**
+   * Constructor
+   * @param {Object} document  Merged properties
+   */
+  constructor(document) {
+    this.document = document;
+    this.resolved = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Get the value of a property, rendering it if it's a template
+   *
+   * @param  {Array<String>} path   The keys to traverse
+   * @param  {Array<String>} trail  Keys of the properties being rendered
+   * @return {*}                    The value, or undefined if it doesn't exist
+   */
+  resolve(path, trail) {
+    const key = path.join(StringTemplate.DELIMITER);
+
+    if (this.resolved.has(key)) {
+      return this.resolved.get(key);
+    }
+
+    const start = trail.indexOf(key);
+
+    if (start !== -1) {
+      throw new ReferenceError(`Circular reference ${trail.slice(start).concat(key).join(' -> ')}`);
+    }
+
+    const value = StringTemplate.lookup(this.document, path);
+
+    if (typeof value !== 'string' || !StringTemplate.isTemplate(value)) {
+      return value;
+    }
+
+    const rendered = new Template(value, this, trail.concat(key)).toString();
+
+    this.resolved.set(key, rendered);
+
+    return rendered;
+  }
+
+  /**
+   * Render every templated value in the document. Values that can't be rendered
+   * are left as they are, and their errors are collected in `errors`.
+   *
+   * @return {Object}  A new document
+   */
+  render() {
+    const walk = (node, path) => {
+      if (node instanceof Array) {
+        return node.map((item, index) => walk(item, path.concat(String(index))));
+      }
+
+      if (isPlainObject(node)) {
+        return Object.keys(node).reduce((collected, key) => {
+          collected[key] = walk(node[key], path.concat(key));
+
+          return collected;
+        }, {});
+      }
+
+      if (typeof node !== 'string' || !StringTemplate.isTemplate(node)) {
+        return node;
+      }
+
+      try {
+        return this.resolve(path, []);
+      } catch (err) {
+        this.errors.push({property: path.join(StringTemplate.DELIMITER), reason: err.message});
+
+        return node;
+      }
+    };
+
+    return walk(this.document, []);
+  }
+
+  /**
+   * Render the templated values of a document
+   *
+   * @param  {Object} document
+   * @return {{properties: Object, errors: Array<{property: String, reason: String}>}}
+   */
+  static render(document) {
+    const interpolation = new this(document);
+
+    return {properties: interpolation.render(), errors: interpolation.errors};
+  }
+}
+
+module.exports = Interpolation;
@@ -31,6 +31,9 @@ class Source extends EventEmitter {
 
     this.properties = {};
     this.sources = [];
+
+    // Set for index entries that must be loaded for Propsd to report healthy
+    this.required = false;
   }
 
   /**
@@ -112,7 +115,8 @@ class Source extends EventEmitter {
       type: this.type,
       ok: this.ok,
       state: this.state,
-      updated: this.updated
+      updated: this.updated,
+      required: this.required
     };
   }
 
@@ -240,6 +244,9 @@ Source.SHUTDOWN = 'SHUTDOWN';
 Source.WARNING = 'WARNING';
 Source.ERROR = 'ERROR';
 
+// Schema for parameters of index entries. See sources/schema.
+Source.SCHEMA = {};
+
 /**
  * Build a Mixin class to inject a Parser class into a Source
  *
@@ -383,6 +390,9 @@ class Polling extends Source {
 }
 
 Polling.DEFAULT_INTERVAL = 60000; // eslint-disable-line rapid7/static-magic-numbers
+Polling.SCHEMA = {
+  interval: {type: 'number'}
+};
 
 /**
  * Build a Mixin class to inject a Parser class into a Polling Source
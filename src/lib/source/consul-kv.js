@@ -0,0 +1,123 @@
+'use strict';
+
+/* global Log, Config */
+const Crypto = require('crypto');
+const ConsulClient = require('../util/consul-client');
+const Source = require('./common');
+const Parser = require('./consul-kv/parser');
+
+/**
+ * Consul KV Source
+ *
+ * Expose a prefix of the Consul KV store to the property-set
+ *
+ * @class Source.ConsulKV
+ * @extends Source.Polling
+ *
+ * @param {Parser} parser
+ */
+class ConsulKV extends Source.Polling(Parser) { // eslint-disable-line new-cap
+  /**
+   * Constructor
+   * @param {String} name  Source instance name
+   * @param {Object} opts  Options that can be set for the plugin
+   */
+  constructor(name, opts) {
+    const options = ConsulClient.options(opts);
+
+    if (!options.hasOwnProperty('prefix') || !options.prefix) {
+      throw new ReferenceError('Source/ConsulKV: Missing required parameter `prefix`!');
+    }
+
+    // Recursive reads match keys by string prefix, so without a trailing slash a
+    // prefix like `propsd/app` would also read the keys of `propsd/application/`
+    const prefix = options.prefix.endsWith('/') ? options.prefix : `${options.prefix}/`;
+
+    super(name, Object.assign({
+      parser: new Parser(prefix)
+    }, options, {prefix}));
+
+    this.prefix = prefix;
+    this.token = new ConsulClient.Token(options);
+
+    // Report TLS files that can't be read as an error of the source when it's
+    // fetched, rather than throwing
+    try {
+      this.client = ConsulClient.create(options);
+    } catch (err) {
+      this.client = null;
+      this._unavailable = err;
+    }
+  }
+
+  /**
+   * Get the Source type
+   * @return {string}
+   */
+  get type() {
+    return 'consul-kv';
+  }
+
+  /**
+   * Get the Consul KV source status
+   * @return {{name, type, ok, state, updated, resource, index}|*}
+   */
+  status() {
+    const object = super.status();
+
+    object.resource = `consul-kv://${this.prefix}`;
+    object.index = this._state;
+
+    return object;
+  }
+
+  /**
+   * Recursively get all keys under the prefix
+   *
+   * @param {Function} callback  Function to call when finished
+   * @private
+   */
+  _fetch(callback) {
+    if (!this.client) {
+      callback(this._unavailable);
+
+      return;
+    }
+
+    // Check the token file once per fetch
+    this.token.refresh(() => {
+      this.client.kv.get(this.token.assign({
+        key: this.prefix,
+        recurse: true,
+        consistent: false,
+        stale: true
+      }), (err, data, res) => {
+        if (err) {
+          return callback(err);
+        }
+
+        // The prefix doesn't have any keys
+        if (!data) {
+          return callback(null, Source.NO_EXIST);
+        }
+
+        // Prefer Consul's modify index. Fall back to a signature of the data.
+        const index = res && res.headers && res.headers['x-consul-index'] ||
+          Crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64');
+
+        if (this._state === index) {
+          return callback(null, Source.NO_UPDATE);
+        }
+
+        this._state = index;
+        callback(null, data);
+      });
+    });
+  }
+}
+
+ConsulKV.SCHEMA = Object.assign({}, Source.Polling.SCHEMA, ConsulClient.SCHEMA, {
+  prefix: {type: 'string', required: true}
+});
+
+module.exports = ConsulKV;
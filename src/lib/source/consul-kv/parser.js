@@ -0,0 +1,74 @@
+'use strict';
+
+const isPlainObject = require('lodash.isplainobject');
+
+/**
+ * Parse a Consul KV value as JSON if possible, falling back to the raw string
+ *
+ * @param {String} value
+ * @return {*}
+ */
+const parseValue = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return value;
+  }
+};
+
+/**
+ * Consul KV Parser
+ *
+ * @class Parser
+ */
+class Parser {
+  /**
+   * Constructor
+   * @param {String} prefix  The key prefix that is stripped from every key
+   */
+  constructor(prefix) {
+    this.prefix = prefix || '';
+    this.properties = {};
+    this.sources = [];
+  }
+
+  /**
+   * Parse data from the Consul KV source. Data is the result of a recursive
+   * /v1/kv/<prefix> request. Each key is split on `/` into a path of nested
+   * properties. Keys with nested children take precedence over a value set on
+   * the same path.
+   *
+   * @param {Array} data
+   */
+  update(data) {
+    const properties = {};
+
+    data.slice().sort((a, b) => (a.Key < b.Key ? -1 : 1)).forEach((item) => {
+      // Directory placeholders don't have values
+      if (item.Value === null || typeof item.Value === 'undefined') {
+        return;
+      }
+
+      const path = item.Key.slice(this.prefix.length).split('/').filter(Boolean);
+
+      if (path.length === 0) {
+        return;
+      }
+
+      const key = path.pop();
+      const node = path.reduce((parent, segment) => {
+        if (!isPlainObject(parent[segment])) {
+          parent[segment] = {}; // eslint-disable-line no-param-reassign
+        }
+
+        return parent[segment];
+      }, properties);
+
+      node[key] = parseValue(item.Value);
+    });
+
+    this.properties = properties;
+  }
+}
+
+module.exports = Parser;
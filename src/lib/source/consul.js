@@ -1,11 +1,50 @@
 'use strict';
 
 /* global Log, Config */
-const Client = require('consul');
+const EventEmitter = require('events').EventEmitter;
+const ConsulClient = require('../util/consul-client');
 const Source = require('./common');
 const Parser = require('./consul/parser');
 const each = require('./metadata/util').each;
 
+const M_REGEX_PATTERN = /^\/(.*)\/$/;
+const M_GLOB_SPECIAL = /[\-\[\]\/\{\}\(\)\+\.\\\^\$\|]/g;
+
+/**
+ * Convert a service name pattern to a RegExp. Patterns wrapped in slashes are
+ * treated as regular expressions, and anything else as a glob supporting `*` and `?`.
+ *
+ * @param  {String} pattern
+ * @return {RegExp}
+ */
+const toRegExp = (pattern) => {
+  const match = M_REGEX_PATTERN.exec(pattern);
+
+  if (match) {
+    return new RegExp(match[1]);
+  }
+
+  const glob = pattern.replace(M_GLOB_SPECIAL, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  return new RegExp(`^${glob}$`);
+};
+
+/**
+ * Normalize a parameter that may be a single value or an array of values
+ *
+ * @param  {*} value
+ * @return {Array}
+ */
+const toArray = (value) => {
+  if (value === null || typeof value === 'undefined') {
+    return [];
+  }
+
+  return [].concat(value);
+};
+
 /**
  * Consul Source
  *
@@ -24,60 +63,391 @@ class Consul extends Source.Polling(Parser) { // eslint-disable-line new-cap
    */
   constructor(name, opts) {
     const options = Object.assign({
-      host: Config.get('consul:host'),
-      port: Config.get('consul:port'),
-      secure: Config.get('consul:secure')
-    }, opts);
+      blocking: true,
+      wait: Consul.DEFAULT_WAIT,
+      passing: true
+    }, ConsulClient.options(opts));
+
+    // Blocking queries return as soon as something changes. The health index changes
+    // with any check in the datacenter, and each change reads the catalog and the
+    // instances of every service, so the interval keeps a gap between wake-ups.
+    if (options.blocking && !Number(options.interval)) {
+      options.interval = Consul.BLOCKING_INTERVAL;
+    }
 
     super(name, options);
 
-    this.client = Client({ // eslint-disable-line new-cap
-      host: options.host,
-      port: options.port,
-      secure: !!options.secure
-    });
+    // The interval between successful requests. Consecutive failures back off from it.
+    this._interval = this.interval;
+    this._failures = 0;
+
+    this.blocking = !!options.blocking;
+    this.wait = Number(options.wait) || Consul.DEFAULT_WAIT;
+
+    // The X-Consul-Index of the last list of services from the catalog
+    this._catalog = null;
+
+    // Restrict which services and instances are exposed
+    this.filter = {
+      services: toArray(options.services).map(toRegExp),
+      tags: toArray(options.tags),
+      nodeMeta: Object.assign({}, options.nodeMeta),
+      datacenter: options.datacenter || null,
+      near: options.near || null,
+      passing: !!options.passing
+    };
+
+    this.token = new ConsulClient.Token(options);
+
+    // Report TLS files that can't be read as an error of the source when it's
+    // fetched, rather than throwing
+    try {
+      this.client = ConsulClient.create(options);
+    } catch (err) {
+      this.client = null;
+      this._unavailable = err;
+    }
+  }
+
+  /**
+   * Get the Consul source status
+   * @return {{name, type, ok, state, updated, interval, index, blocking}|*}
+   */
+  status() {
+    const object = super.status();
+
+    object.index = this._state;
+    object.blocking = this.blocking;
+
+    if (this.filter.datacenter) {
+      object.datacenter = this.filter.datacenter;
+    }
+
+    return object;
   }
 
   /**
-   * Get a list services from the Consul catalog.
+   * Wait for the Consul health-check state or catalog to change, then get a list of
+   * services from the Consul catalog.
+   *
+   * The X-Consul-Index of the /v1/health/state/any endpoint changes whenever a
+   * check is registered, deregistered or changes its status. The X-Consul-Index of
+   * the /v1/catalog/services endpoint changes whenever a service is registered or
+   * deregistered, or its tags, port or metadata change, including services that have
+   * no checks. Both are passed back to Consul as the indices of blocking queries, which
+   * are held open until an index changes or the wait time elapses. The first query to
+   * see a change cancels the other. The health index is stored as the source's state.
    *
    * @param {Function} callback  Function to call when finished
    * @private
    */
   _fetch(callback) {
-    this.client.catalog.service.list({
-      consistent: false,
-      stale: true
-    }, (err, result) => {
+    const done = (err, data) => {
+      this._backoff(!!err);
+      callback(err, data);
+    };
+
+    if (!this.client) {
+      done(this._unavailable);
+
+      return;
+    }
+
+    // Check the token file once, and send its token with all of this fetch's requests
+    this.token.refresh(() => this._watch(done));
+  }
+
+  /**
+   * Query the watched endpoints and get the services once one of them has changed
+   *
+   * @param {Function} done  Function to call when finished
+   * @private
+   */
+  _watch(done) {
+    const blocking = this.blocking && !!this._state;
+    const ctx = new EventEmitter();
+    let pending = 2;
+    let settled = false;
+    let health = null;
+    let listing = null;
+
+    /**
+     * Handle the response of a watched endpoint. Blocking queries settle on the first
+     * change, and other requests once both endpoints have responded.
+     *
+     * @param {Error}   err
+     * @param {Boolean} changed  Whether the endpoint's index changed
+     */
+    const watched = (err, changed) => {
+      pending -= 1;
+
+      if (settled || !(err || (blocking && changed) || pending === 0)) {
+        return;
+      }
+
+      settled = true;
+      ctx.emit('cancel');
+
       if (err) {
-        return callback(err);
+        done(err);
+
+        return;
       }
 
-      const properties = {};
-
-      const work = (name, next) => {
-        this.client.health.service({
-          service: name,
-          passing: true,
-          consistent: false,
-          stale: true
-        }, (error, data) => {
-          if (error) {
-            return next(error);
-          }
-
-          properties[name] = data;
-          next();
-        });
-      };
+      if (!health && !listing) {
+        done(null, Source.NO_UPDATE);
+
+        return;
+      }
+
+      this._services(listing, (error, properties) => {
+        if (error) {
+          return done(error);
+        }
+
+        if (health) {
+          this._state = health.index;
+        }
+
+        done(null, properties);
+      });
+    };
+
+    this.client.health.state(this._options({state: 'any'}, this._state, ctx), (err, checks, res) => {
+      const index = res && res.headers && res.headers['x-consul-index'] || null;
+
+      if (!err && (!index || index !== this._state)) {
+        health = {index};
+      }
+
+      watched(err, !!health);
+    });
+
+    this.client.catalog.service.list(this._options({}, this._catalog, ctx), (err, result, res) => {
+      const index = res && res.headers && res.headers['x-consul-index'] || null;
+
+      if (!err && (!index || index !== this._catalog)) {
+        listing = {result, index};
+      }
+
+      watched(err, !!listing);
+    });
+  }
+
+  /**
+   * Build the options of a request to a watched endpoint
+   *
+   * @param  {Object}       options
+   * @param  {String}       index    The endpoint's last X-Consul-Index
+   * @param  {EventEmitter} ctx      Cancels the request when it emits `cancel`
+   * @return {Object}
+   * @private
+   */
+  _options(options, index, ctx) {
+    Object.assign(options, {
+      consistent: false,
+      stale: true,
+      ctx
+    });
+
+    if (this.filter.datacenter) {
+      options.dc = this.filter.datacenter;
+    }
+
+    if (this.blocking && this._state && index) {
+      options.index = index;
+      options.wait = `${this.wait}ms`;
+
+      // Consul adds up to wait/16 of jitter to the blocking time
+      options.timeout = this.wait + Math.ceil(this.wait / Consul.WAIT_JITTER) + Consul.REQUEST_TIMEOUT;
+    }
+
+    return this.token.assign(options);
+  }
 
-      const done = (error) => {
-        callback(error, properties);
+  /**
+   * Double the polling interval after each consecutive failure, up to the default
+   * polling interval, so that an unavailable Consul agent isn't queried every
+   * second. The interval is reset by a successful request.
+   *
+   * @param {Boolean} failed  Whether the last request failed
+   * @private
+   */
+  _backoff(failed) {
+    if (!failed) {
+      this._failures = 0;
+      this.interval = this._interval;
+
+      return;
+    }
+
+    const limit = Math.max(this._interval, Consul.DEFAULT_INTERVAL);
+
+    this._failures += 1;
+    this.interval = Math.min(this._interval * Math.pow(Consul.BACKOFF, this._failures), limit);
+  }
+
+  /**
+   * Get instances of every service in the Consul catalog that match the source's filters
+   *
+   * @param {{result: Object, index: String}|null} listing  A current list of services from
+   *                                                        the catalog, or null to get one
+   * @param {Function} callback  Function to call with a hash of service names to health results
+   * @private
+   */
+  _services(listing, callback) {
+    if (!listing) {
+      const options = {
+        consistent: false,
+        stale: true
       };
 
-      each(Object.keys(result), work, done);
+      if (this.filter.datacenter) {
+        options.dc = this.filter.datacenter;
+      }
+
+      this.client.catalog.service.list(this.token.assign(options), (err, result, res) => {
+        if (err) {
+          return callback(err);
+        }
+
+        this._services({result, index: res && res.headers && res.headers['x-consul-index'] || null}, callback);
+      });
+
+      return;
+    }
+
+    const result = listing.result || {};
+    const properties = {};
+
+    // The catalog lists the union of all instances' tags for each service
+    const names = Object.keys(result).filter((name) =>
+      this._matches(name) &&
+      this.filter.tags.every((tag) => (result[name] || []).indexOf(tag) > -1));
+
+    const work = (name, next) => {
+      this._instances(name, (error, data) => {
+        if (error) {
+          return next(error);
+        }
+
+        properties[name] = (data || []).filter((info) => this._selects(info));
+        next();
+      });
+    };
+
+    const done = (error) => {
+      if (!error) {
+        this._catalog = listing.index;
+      }
+
+      callback(error, properties);
+    };
+
+    each(names, work, done, {
+      parallel: Consul.PARALLEL,
+      error: false
     });
   }
+
+  /**
+   * Get the instances of a service from Consul's /v1/health/service API. The client's
+   * Health#service doesn't support the `near` and `node-meta` parameters of this API.
+   *
+   * @param {String} name        Service name
+   * @param {Function} callback  Function to call with the health results
+   * @private
+   */
+  _instances(name, callback) {
+    const options = this.token.assign({
+      stale: true,
+      timeout: Consul.REQUEST_TIMEOUT
+    });
+
+    const request = {
+      name: 'health.service',
+      path: '/health/service/{service}',
+      params: {service: name},
+      query: {}
+    };
+
+    if (this.filter.datacenter) {
+      options.dc = this.filter.datacenter;
+    }
+
+    if (this.filter.passing) {
+      request.query.passing = 'true';
+    }
+
+    // Consul can only filter on one tag. The rest are filtered by `_selects`.
+    if (this.filter.tags.length > 0) {
+      request.query.tag = this.filter.tags[0];
+    }
+
+    if (this.filter.near) {
+      request.query.near = this.filter.near;
+    }
+
+    const meta = Object.keys(this.filter.nodeMeta);
+
+    if (meta.length > 0) {
+      request.query['node-meta'] = meta.map((key) => `${key}:${this.filter.nodeMeta[key]}`);
+    }
+
+    ConsulClient.get(this.client, request, options, callback);
+  }
+
+  /**
+   * Test a service name against the source's service name patterns
+   *
+   * @param  {String} name
+   * @return {Boolean}
+   * @private
+   */
+  _matches(name) {
+    if (this.filter.services.length === 0) {
+      return true;
+    }
+
+    return this.filter.services.some((pattern) => pattern.test(name));
+  }
+
+  /**
+   * Test a service instance against the source's tag and node-meta filters
+   *
+   * @param  {Object} info  A result from Consul's /v1/health/service API
+   * @return {Boolean}
+   * @private
+   */
+  _selects(info) {
+    const tags = info.Service && info.Service.Tags || [];
+    const meta = info.Node && info.Node.Meta || {};
+
+    return this.filter.tags.every((tag) => tags.indexOf(tag) > -1) &&
+      Object.keys(this.filter.nodeMeta).every((key) => String(meta[key]) === String(this.filter.nodeMeta[key]));
+  }
 }
 
+/* eslint-disable rapid7/static-magic-numbers */
+Consul.DEFAULT_WAIT = 300000;
+Consul.BLOCKING_INTERVAL = 15000;
+Consul.REQUEST_TIMEOUT = 5000;
+Consul.WAIT_JITTER = 16;
+Consul.PARALLEL = 8;
+
+// Factor that the polling interval grows by after each consecutive failure
+Consul.BACKOFF = 2;
+/* eslint-enable rapid7/static-magic-numbers */
+
+Consul.SCHEMA = Object.assign({}, Source.Polling.SCHEMA, ConsulClient.SCHEMA, {
+  blocking: {type: 'boolean'},
+  wait: {type: 'number'},
+  passing: {type: 'boolean'},
+  services: {type: ['string', 'array']},
+  tags: {type: ['string', 'array']},
+  nodeMeta: {type: 'object'},
+  datacenter: {type: 'string'},
+  near: {type: 'string'}
+});
+
 module.exports = Consul;
@@ -1,5 +1,25 @@
 'use strict';
 
+// Check statuses, from best to worst
+const STATUSES = ['passing', 'warning', 'critical'];
+
+/**
+ * Get the worst status of an instance's health checks. Unknown statuses are
+ * treated as critical.
+ *
+ * @param  {Array} checks
+ * @return {String}
+ */
+const worst = (checks) => {
+  const rank = (checks || []).reduce((current, check) => {
+    const index = STATUSES.indexOf(check.Status);
+
+    return Math.max(current, index === -1 ? STATUSES.length - 1 : index);
+  }, 0);
+
+  return STATUSES[rank];
+};
+
 /**
  * Consul Parser
  *
@@ -18,6 +38,11 @@ class Parser {
    * Parse data from the Consul source. Keys in the data are names of services
    * in Consul. Values in the data are results from Consul's /v1/health/service API.
    *
+   * Each service exposes an `addresses` array for backwards compatibility with
+   * the Conqueso API, an `instances` array describing each instance of the service,
+   * and a `tags` object mapping each of the service's tags to the addresses of
+   * instances that have that tag.
+   *
    * @param {Object} data
    */
   update(data) {
@@ -25,19 +50,45 @@ class Parser {
 
     Object.keys(data).forEach((name) => {
       const addresses = [];
+      const instances = [];
+      const tags = {};
 
       data[name].forEach((info) => {
+        const node = info.Node || {};
+        const service = info.Service || {};
+
         // Prefer the service address, not the Consul agent address.
-        if (info.Service && info.Service.Address) {
-          addresses.push(info.Service.Address);
-        } else if (info.Node && info.Node.Address) {
-          addresses.push(info.Node.Address);
+        const address = service.Address || node.Address;
+
+        if (!address) {
+          return;
         }
+
+        addresses.push(address);
+        instances.push({
+          address,
+          port: service.Port || null,
+          tags: service.Tags || [],
+          meta: service.Meta || {},
+          node: node.Node || node.Name || null,
+          datacenter: node.Datacenter || null,
+          status: worst(info.Checks)
+        });
+
+        (service.Tags || []).forEach((tag) => {
+          if (!tags.hasOwnProperty(tag)) {
+            tags[tag] = [];
+          }
+
+          tags[tag].push(address);
+        });
       });
 
       properties[name] = {
         cluster: name,
-        addresses
+        addresses,
+        instances,
+        tags
       };
     });
 
@@ -0,0 +1,146 @@
+/* global Log, Config */
+'use strict';
+
+const Crypto = require('crypto');
+const FS = require('fs');
+const Path = require('path');
+
+const Source = require('./common');
+const S3Parser = require('./s3/parser');
+const Formats = require('./s3/formats');
+
+/**
+ * Resolve a path against the directory that file sources are allowed to read from
+ *
+ * @param  {String} path
+ * @return {String|null}  The absolute path, or null if it's outside of the directory
+ */
+const resolve = (path) => {
+  const root = Path.resolve(Config.get('file:root'));
+  const resolved = Path.resolve(root, path);
+  const relative = Path.relative(root, resolved);
+
+  if (relative === '..' || relative.startsWith(`..${Path.sep}`) || Path.isAbsolute(relative)) {
+    return null;
+  }
+
+  return resolved;
+};
+
+/**
+ * File Source
+ *
+ * Retrieve a property document from the local filesystem and return it to the property-set.
+ * Paths are resolved against, and must be inside of, the directory in the `file:root` setting.
+ *
+ * @class Source.File
+ * @extends Source.Polling
+ *
+ * @param {Parser} parser
+ */
+class File extends Source.Polling(S3Parser) { // eslint-disable-line new-cap
+  /**
+   * Constructor
+   * @param {String} name
+   * @param {Object} opts
+   */
+  constructor(name, opts) {
+    const options = Object.assign({}, opts);
+
+    if (!options.hasOwnProperty('path') || !options.path) {
+      throw new ReferenceError('Source/File: Missing required parameter `path`!');
+    }
+
+    const path = resolve(options.path);
+
+    if (!path) {
+      throw new RangeError(`Source/File: Path ${options.path} is outside of ${Config.get('file:root')}!`);
+    }
+
+    super(name, Object.assign({
+      parser: new S3Parser({
+        format: options.format,
+        path: options.path
+      })
+    }, options));
+
+    this.path = path;
+    this._mtime = null;
+  }
+
+  /**
+   * Get the File source status
+   * @return {{name, type, ok, state, updated, resource, hash}|*}
+   */
+  status() {
+    const object = super.status();
+
+    object.resource = `file://${this.path}`;
+    object.hash = this._state;
+
+    return object;
+  }
+
+  /**
+   * Stat the file and only read it if its modification time has changed. The SHA-1
+   * hash of the file's content is stored as the source's state so that touching
+   * a file without changing it does not trigger an update.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _fetch(callback) {
+    FS.stat(this.path, (err, stats) => {
+      if (err) {
+        this._mtime = null;
+
+        if (err.code === 'ENOENT') {
+          return callback(null, Source.NO_EXIST);
+        }
+
+        return callback(err);
+      }
+
+      const mtime = stats.mtime.getTime();
+
+      if (this._state && this._mtime === mtime) {
+        return callback(null, Source.NO_UPDATE);
+      }
+
+      FS.readFile(this.path, (error, data) => {
+        if (error) {
+          this._mtime = null;
+
+          if (error.code === 'ENOENT') {
+            return callback(null, Source.NO_EXIST);
+          }
+
+          return callback(error);
+        }
+
+        const hash = Crypto.createHash('sha1').update(data).digest('hex');
+
+        this._mtime = mtime;
+
+        if (this._state === hash) {
+          return callback(null, Source.NO_UPDATE);
+        }
+
+        this._state = hash;
+        callback(null, data);
+      });
+    });
+  }
+}
+
+File.SCHEMA = Object.assign({}, Source.Polling.SCHEMA, {
+  path: {
+    type: 'string',
+    required: true,
+    validate: (path) => resolve(path) !== null,
+    description: 'inside of the `file:root` directory'
+  },
+  format: {type: 'string', values: Formats.FORMATS}
+});
+
+module.exports = File;
@@ -0,0 +1,184 @@
+/* global Log, Config */
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const URL = require('url');
+
+const Source = require('./common');
+const S3Parser = require('./s3/parser');
+const Formats = require('./s3/formats');
+const STATUS_CODES = require('../util/status-codes');
+
+/**
+ * HTTP Source
+ *
+ * Retrieve a property document from an arbitrary HTTP(S) URL and return it to the property-set.
+ * Conditional requests are used so that unchanged documents are not re-parsed.
+ *
+ * @class Source.HTTP
+ * @extends Source.Polling
+ *
+ * @param {Parser} parser
+ */
+class HTTP extends Source.Polling(S3Parser) { // eslint-disable-line new-cap
+  /**
+   * Constructor
+   * @param {String} name
+   * @param {Object} opts
+   */
+  constructor(name, opts) {
+    // Inject defaults into options
+    const options = Object.assign({
+      headers: {},
+      timeout: HTTP.DEFAULT_TIMEOUT
+    }, opts);
+
+    if (!options.hasOwnProperty('url') || !options.url) {
+      throw new ReferenceError('Source/HTTP: Missing required parameter `url`!');
+    }
+
+    const location = URL.parse(options.url);
+
+    super(name, Object.assign({
+      parser: new S3Parser({
+        format: options.format,
+        path: location.pathname
+      })
+    }, options));
+
+    this.url = options.url;
+    this.headers = Object.assign({}, options.headers);
+    this.timeout = Number(options.timeout) || HTTP.DEFAULT_TIMEOUT;
+
+    this._location = location;
+    this._client = location.protocol === 'https:' ? https : http;
+
+    // URLs can be rendered from templates, so an unsupported protocol is reported
+    // as an error of the source rather than thrown
+    this._unsupported = location.protocol !== 'http:' && location.protocol !== 'https:';
+    this._modified = null;
+  }
+
+  /**
+   * Get the HTTP source status
+   * @return {{name, type, ok, state, updated, resource, etag, modified}|*}
+   */
+  status() {
+    const object = super.status();
+
+    object.resource = this.url;
+    object.etag = this._state;
+    object.modified = this._modified;
+
+    return object;
+  }
+
+  /**
+   * Clear the Last-Modified validator along with the ETag when an error occurs
+   * so that the next request retrieves the full document
+   *
+   * @param  {Error} err
+   * @return {HTTP}
+   * @private
+   */
+  _error(err) {
+    this._modified = null;
+
+    return super._error(err);
+  }
+
+  /**
+   * Request the document, passing the last known ETag and Last-Modified values
+   * so that the server can answer with a 304 if nothing has changed.
+   *
+   * @param {Function} callback
+   * @private
+   */
+  _fetch(callback) {
+    const headers = Object.assign({}, this.headers);
+    let finished = false;
+
+    if (this._unsupported) {
+      callback(new TypeError(`Source/HTTP: Unsupported protocol in URL ${this.url}!`));
+
+      return;
+    }
+
+    if (this._state) {
+      headers['If-None-Match'] = this._state;
+    }
+
+    if (this._modified) {
+      headers['If-Modified-Since'] = this._modified;
+    }
+
+    // Guard against the callback being called by both a timeout and a response
+    const done = (err, data) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+
+      callback(err, data);
+    };
+
+    const request = this._client.request({
+      protocol: this._location.protocol,
+      hostname: this._location.hostname,
+      port: this._location.port,
+      path: this._location.path,
+      auth: this._location.auth,
+      method: 'GET',
+      headers
+    }, (response) => {
+      const chunks = [];
+
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('error', (err) => done(err));
+      response.on('end', () => {
+        if (response.statusCode === STATUS_CODES.NOT_MODIFIED) {
+          return done(null, Source.NO_UPDATE);
+        }
+
+        if (response.statusCode === STATUS_CODES.NOT_FOUND || response.statusCode === STATUS_CODES.GONE) {
+          this._modified = null;
+
+          return done(null, Source.NO_EXIST);
+        }
+
+        if (response.statusCode < STATUS_CODES.OK || response.statusCode >= STATUS_CODES.MULTIPLE_CHOICES) {
+          const err = new Error(`Source/HTTP: Unexpected response ${response.statusCode} from ${this.url}`);
+
+          err.code = response.statusCode;
+
+          return done(err);
+        }
+
+        this._state = response.headers.etag || null;
+        this._modified = response.headers['last-modified'] || null;
+        this.parser.contentType = response.headers['content-type'] || null;
+
+        done(null, Buffer.concat(chunks));
+      });
+    });
+
+    request.setTimeout(this.timeout, () => {
+      done(new Error(`Source/HTTP: Request to ${this.url} timed out after ${this.timeout}ms`));
+      request.abort();
+    });
+
+    request.on('error', (err) => done(err));
+    request.end();
+  }
+}
+
+HTTP.DEFAULT_TIMEOUT = 10000; // eslint-disable-line rapid7/static-magic-numbers
+HTTP.SCHEMA = Object.assign({}, Source.Polling.SCHEMA, {
+  url: {type: 'string', required: true, pattern: /^https?:\/\//i, description: 'an http or https URL'},
+  headers: {type: 'object'},
+  timeout: {type: 'number'},
+  format: {type: 'string', values: Formats.FORMATS}
+});
+
+module.exports = HTTP;
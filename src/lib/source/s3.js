@@ -3,31 +3,8 @@
 
 const Aws = require('aws-sdk');
 const Source = require('./common');
-
-/**
- * Class to parse data returned from S3
- *
- * @class S3Parser
- */
-class S3Parser {
-  /**
-   * Constructor
-   */
-  constructor() {
-    this.properties = {};
-  }
-
-  /**
-   * Parse the property set and update the parser's properties and sources
-   * @param {Object} data
-   */
-  update(data) {
-    const object = JSON.parse(data.toString());
-
-    this.properties = object.properties || {};
-    this.sources = object.sources || [];
-  }
-}
+const S3Parser = require('./s3/parser');
+const Formats = require('./s3/formats');
 
 /**
  * S3 Source
@@ -60,7 +37,12 @@ class S3 extends Source.Polling(S3Parser) { // eslint-disable-line new-cap
       throw new ReferenceError('Source/S3: Missing required parameter `path`!');
     }
 
-    super(name, options);
+    super(name, Object.assign({
+      parser: new S3Parser({
+        format: options.format,
+        path: options.path
+      })
+    }, options));
 
     this.bucket = options.bucket;
     this.path = options.path;
@@ -117,9 +99,17 @@ class S3 extends Source.Polling(S3Parser) { // eslint-disable-line new-cap
       }
 
       this._state = data.ETag;
+      this.parser.contentType = data.ContentType || null;
       callback(null, data.Body);
     });
   }
 }
 
+S3.SCHEMA = Object.assign({}, Source.Polling.SCHEMA, {
+  path: {type: 'string', required: true},
+  bucket: {type: 'string'},
+  endpoint: {type: 'string'},
+  format: {type: 'string', values: Formats.FORMATS}
+});
+
 module.exports = S3;
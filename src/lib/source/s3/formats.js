@@ -0,0 +1,135 @@
+'use strict';
+
+const Path = require('path');
+const YAML = require('js-yaml');
+const TOML = require('@iarna/toml');
+
+/**
+ * Parse functions for each supported document format. Each returns an array of
+ * documents, in the order that they should be layered.
+ */
+const PARSERS = {
+  json: (text) => [JSON.parse(text)],
+  yaml: (text) => YAML.safeLoadAll(text).filter((document) => document !== null && typeof document !== 'undefined'),
+  toml: (text) => [TOML.parse(text)]
+};
+
+const EXTENSIONS = {
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.toml': 'toml'
+};
+
+const CONTENT_TYPES = {
+  'application/json': 'json',
+  'text/json': 'json',
+  'application/yaml': 'yaml',
+  'application/x-yaml': 'yaml',
+  'text/yaml': 'yaml',
+  'text/x-yaml': 'yaml',
+  'application/toml': 'toml',
+  'text/toml': 'toml',
+  'text/x-toml': 'toml'
+};
+
+// Names of the supported formats
+exports.FORMATS = Object.keys(PARSERS);
+
+/**
+ * Test if a format is supported
+ *
+ * @param  {String} format
+ * @return {Boolean}
+ */
+exports.supports = function supports(format) {
+  return PARSERS.hasOwnProperty(format);
+};
+
+/**
+ * Get the format of a document from the extension of its path
+ *
+ * @param  {String} path
+ * @return {String|null}
+ */
+exports.fromExtension = function fromExtension(path) {
+  if (!path) {
+    return null;
+  }
+
+  return EXTENSIONS[Path.extname(path).toLowerCase()] || null;
+};
+
+/**
+ * Get the format of a document from its Content-Type. Parameters like `charset`
+ * are ignored, and generic types like `text/plain` aren't recognized.
+ *
+ * @param  {String} type
+ * @return {String|null}
+ */
+exports.fromContentType = function fromContentType(type) {
+  if (!type) {
+    return null;
+  }
+
+  return CONTENT_TYPES[type.split(';')[0].trim().toLowerCase()] || null;
+};
+
+/**
+ * Pick a document's format. An explicit format takes precedence over the document's
+ * Content-Type, which takes precedence over the extension of its path. Documents
+ * are assumed to be JSON if none of those identify a format.
+ *
+ * @param  {Object} hints
+ * @param  {String} hints.format       An explicitly configured format
+ * @param  {String} hints.contentType  The Content-Type of the document
+ * @param  {String} hints.path         The path of the document
+ * @return {String}
+ */
+exports.resolve = function resolve(hints) {
+  return hints.format ||
+    exports.fromContentType(hints.contentType) ||
+    exports.fromExtension(hints.path) ||
+    'json';
+};
+
+/**
+ * Describe where a parser failed. The parsers' own messages quote the lines around
+ * the error, which may contain secrets, so only the position is kept.
+ *
+ * @param  {Error} err
+ * @return {String}
+ */
+const location = (err) => {
+  if (err.mark instanceof Object) {
+    return ` at line ${err.mark.line + 1}, column ${err.mark.column + 1}: ${err.reason}`;
+  }
+
+  if (typeof err.line === 'number' && typeof err.col === 'number') {
+    return ` at line ${err.line + 1}, column ${err.col + 1}`;
+  }
+
+  const position = /at position (\d+)/.exec(err.message);
+
+  return position ? ` at position ${position[1]}` : '';
+};
+
+/**
+ * Parse a document
+ *
+ * @param  {String} text
+ * @param  {String} format
+ * @return {Array<Object>}  The documents contained in the text
+ * @throws {SyntaxError}    If the text isn't a valid document. The error doesn't include the text.
+ */
+exports.parse = function parse(text, format) {
+  if (!exports.supports(format)) {
+    throw new TypeError(`Unsupported document format ${format}`);
+  }
+
+  try {
+    return PARSERS[format](text);
+  } catch (err) {
+    throw new SyntaxError(`Invalid ${format} document${location(err)}`);
+  }
+};
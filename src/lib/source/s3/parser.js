@@ -0,0 +1,56 @@
+'use strict';
+
+const Formats = require('./formats');
+const merge = require('../../util').merge;
+
+/**
+ * Class to parse property documents returned from S3
+ *
+ * Documents may be JSON, YAML or TOML. YAML documents may contain multiple
+ * documents, which are layered in order: properties of later documents are
+ * merged over those of earlier ones, and their sources are appended.
+ *
+ * @class S3Parser
+ */
+class S3Parser {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {String} options.format  An explicit document format
+   * @param {String} options.path    The path of the document, used to pick a format from its extension
+   */
+  constructor(options) {
+    const opts = options || {};
+
+    if (opts.format && !Formats.supports(opts.format)) {
+      throw new TypeError(`Source/S3Parser: Unsupported document format ${opts.format}!`);
+    }
+
+    this.properties = {};
+    this.format = opts.format || null;
+    this.path = opts.path || null;
+
+    // Set by sources that receive a Content-Type along with the document
+    this.contentType = null;
+  }
+
+  /**
+   * Parse the property set and update the parser's properties and sources
+   * @param {Object} data
+   */
+  update(data) {
+    const documents = Formats.parse(data.toString(), Formats.resolve(this));
+
+    if (documents.length === 1) {
+      this.properties = documents[0].properties || {};
+      this.sources = documents[0].sources || [];
+
+      return;
+    }
+
+    this.properties = documents.reduce((properties, document) => merge(properties, document.properties), {});
+    this.sources = documents.reduce((sources, document) => sources.concat(document.sources || []), []);
+  }
+}
+
+module.exports = S3Parser;
@@ -2,8 +2,10 @@
 const EventEmitter = require('events').EventEmitter;
 const STATUS_CODES = require('./util/status-codes');
 
+const Source = require('./source/common');
 const Comparator = require('./sources/comparator');
 const Index = require('./sources/iindex');
+const Schema = require('./sources/schema');
 
 /**
  * A coordinating class that makes sure that Properties are resolved before
@@ -25,18 +27,63 @@ class Sources extends EventEmitter {
 
     this.properties = properties;
     this.indices = [];
+    this.priorities = new Map();
+
+    // The last valid sources of each index, and validation errors of invalid indices
+    this.valid = new Map();
+    this.errors = new Map();
 
     this.initialized = false;
     this.current = new Index([], null);
   }
 
   /**
-   * Add an index document source
+   * Add an index document source. Sources from indices with a higher priority
+   * are layered after, and override, sources from indices with a lower priority.
+   * Indices with the same priority are layered in the order that they were added.
    *
    * @param  {Source} source
+   * @param  {Number} priority  Defaults to 0
+   */
+  index(source, priority) {
+    const rank = Number(priority) || 0;
+    let position = this.indices.findIndex((index) => this.priorities.get(index) > rank);
+
+    if (position === -1) {
+      position = this.indices.length;
+    }
+
+    this.priorities.set(source, rank);
+    this.indices.splice(position, 0, source);
+  }
+
+  /**
+   * Add index document sources from configuration. Each configuration has a `name`,
+   * an optional `type` and `priority`, and parameters for its Source provider.
+   *
+   * @param  {Array}  configs   Index configurations
+   * @param  {Object} defaults  Default parameters for `s3` indices
    */
-  index(source) {
-    this.indices.push(source);
+  configure(configs, defaults) {
+    configs.forEach((config, i) => {
+      const type = config.type || 's3';
+      const name = config.name || `index:${i}`;
+
+      if (!Sources.providers.hasOwnProperty(type)) {
+        Log.log('WARN', `Sources: Index ${name} type ${type} does not have a registered provider! Ignoring.`);
+
+        return;
+      }
+
+      const options = Object.assign({}, type === 's3' ? defaults : null, config);
+      const Type = Sources.providers[type];
+
+      delete options.name;
+      delete options.type;
+      delete options.priority;
+
+      this.index(new Type(name, options), config.priority);
+    });
   }
 
   /**
@@ -111,10 +158,24 @@ class Sources extends EventEmitter {
           return;
         }
 
+        const errors = Schema.validate(source.sources, Sources.providers);
+
+        if (errors.length > 0) {
+          Log.log('WARN', `Sources: Index source ${source.name} is invalid. Using its last valid sources.`, {errors});
+
+          this.errors.set(source, errors);
+          configs = configs.concat(this.valid.get(source) || []);
+
+          return;
+        }
+
+        this.errors.delete(source);
+        this.valid.set(source, source.sources);
         configs = configs.concat(source.sources);
       });
 
-      const next = new Index(configs, this.properties.persistent);
+      // Add the index's sources, and the sources that they declare
+      const next = this._discover(configs, new Index([], this.properties.persistent), [], new Set());
       const difference = Comparator.compare(this.current, next);
 
       this.current = difference.build(Sources.providers);
@@ -141,12 +202,95 @@ class Sources extends EventEmitter {
 
           this.emit('_resolve_update', this);
           this.emit('update', this);
+
+          // New sources may have declared sources of their own
+          const declares = difference.create.some((name) => {
+            const source = next.sources[name];
+
+            return !!source && source.sources instanceof Array && source.sources.length > 0;
+          });
+
+          if (declares) {
+            this.update();
+          }
         });
     }, Sources.UPDATE_HOLD_DOWN);
 
     return updated;
   }
 
+  /**
+   * Add a set of source configurations to an Index, along with the sources declared
+   * by their instances in the current Index. Declared sources are added after the
+   * source that declared them, so that they are layered on top of it.
+   *
+   * Sources are only discovered once their parent has been created and fetched,
+   * so each level of the tree is added by a subsequent update.
+   *
+   * @param  {Array}  configs    Source configurations
+   * @param  {Index}  index      The Index to add configurations to. Unnamed configurations
+   *                             are named by the Index before their sources are discovered.
+   * @param  {Array}  ancestors  Names of the sources that declared `configs`, from the root
+   * @param  {Set}    seen       Names, or hashes of unnamed configurations, that have already been added
+   * @return {Index}
+   * @private
+   */
+  _discover(configs, index, ancestors, seen) {
+    configs.forEach((config) => {
+      const name = index.add(config);
+
+      if (!name) {
+        return;
+      }
+
+      // Unnamed configurations are identified by their hash, without the number that the
+      // Index gives to copies of them
+      const key = index.keys[name];
+
+      if (ancestors.some((ancestor) => index.keys[ancestor] === key)) {
+        Log.log('WARN', `Sources: Source ${ancestors[ancestors.length - 1]} declares a cycle ` +
+                        `(${ancestors.concat(key).join(' -> ')}). Ignoring ${key}.`);
+        index.remove(name);
+
+        return;
+      }
+
+      // The first declaration of a source determines its position. Identical unnamed
+      // entries of the same document are kept as separate sources.
+      if (seen.has(key) && (ancestors.length > 0 || key === name)) {
+        Log.log('WARN', `Sources: Source ${key} has already been declared. Ignoring.`);
+        index.remove(name);
+
+        return;
+      }
+      seen.add(key);
+
+      const source = this.current.sources[name];
+
+      if (!source || !(source.sources instanceof Array) || source.sources.length === 0) {
+        return;
+      }
+
+      const errors = Schema.validate(source.sources, Sources.providers);
+
+      if (errors.length > 0) {
+        Log.log('WARN', `Sources: Sources declared by ${name} are invalid. Ignoring them.`, {errors});
+
+        return;
+      }
+
+      if (ancestors.length + 1 >= Sources.MAX_DEPTH) {
+        Log.log('WARN', `Sources: Source ${name} is nested ${Sources.MAX_DEPTH} levels deep. Ignoring its sources.`);
+
+        return;
+      }
+
+      this._discover(source.sources, index, ancestors.concat(name), seen);
+    });
+
+    return index;
+  }
+
   /**
    * Compute system status
    *
@@ -167,11 +311,35 @@ class Sources extends EventEmitter {
         object.status = source.state;
       }
 
-      return source.status();
+      return Object.assign(source.status(), {
+        priority: this.priorities.get(source),
+        errors: this.errors.get(source) || []
+      });
+    });
+
+    // Index entries that were skipped by their conditions or couldn't be rendered.
+    // Required entries that couldn't be rendered or created are failures.
+    object.skipped = this.current.skipped;
+
+    object.skipped.forEach((entry) => {
+      if (entry.required && entry.error) {
+        object.code = STATUS_CODES.INTERNAL_SERVER_ERROR;
+        object.status = Source.ERROR;
+      }
     });
 
+    // Interpolated property values that couldn't be rendered by the last build. They're
+    // left as they are, and don't degrade health.
+    object.unresolved = this.properties.unresolved;
+
+    // Optional index entries never degrade health. Required entries degrade it
+    // until they've loaded, and whenever they aren't running after that.
+    const entries = new Set(this.properties.active.sources);
+
     object.sources = this.properties.sources.map((source) => {
-      if (!source.ok) {
+      const healthy = entries.has(source) ? !source.required || source.state === Source.RUNNING : source.ok;
+
+      if (!healthy) {
         object.code = STATUS_CODES.INTERNAL_SERVER_ERROR;
         object.status = source.state;
       }
@@ -186,13 +354,19 @@ class Sources extends EventEmitter {
 // Registered Source providers
 Sources.providers = {
   s3: require('./source/s3'),
-  consul: require('./source/consul')
+  consul: require('./source/consul'),
+  'consul-kv': require('./source/consul-kv'),
+  file: require('./source/file'),
+  http: require('./source/http')
 };
 
 // Update hold-down timeout
 Sources.UPDATE_HOLD_DOWN = 1000; // eslint-disable-line rapid7/static-magic-numbers
 Sources.MAX_LISTENERS = 100; // eslint-disable-line rapid7/static-magic-numbers
 
+// Maximum depth of sources declared by other sources
+Sources.MAX_DEPTH = 8; // eslint-disable-line rapid7/static-magic-numbers
+
 Sources.Comparator = Comparator;
 Sources.Index = Index;
 module.exports = Sources;
@@ -82,25 +82,18 @@ class Comparator {
   }
 
   /**
-   * Create or copy source instances for the NEXT index
+   * Create or copy source instances for the NEXT index. Sources that couldn't be
+   * created before are created again, and only count as changes if they succeed.
    *
    * @param  {Object} providers A hash of type-to-class for Sources
    * @return {Index} The NEXT index
    */
   build(providers) {
-    this.create.forEach((name) => {
-      const config = this.next.configurations[name];
+    const retry = this.copy.filter((name) => !this.current.sources[name]);
 
-      if (!providers.hasOwnProperty(config.type)) { // eslint-disable-line no-use-before-define
-        Log.log('WARN', `Source type ${config.type} does not have a registered provider! Ignoring.`);
-
-        return;
-      }
-
-      const Type = providers[config.type];
-
-      this.next.sources[name] = new Type(config.name, config.parameters);
-    });
+    this.copy = this.copy.filter((name) => !!this.current.sources[name]);
+    this.create = this.create.filter((name) => this._create(name, providers))
+      .concat(retry.filter((name) => this._create(name, providers)));
 
     this.copy.forEach((name) => {
       this.next.sources[name] = this.current.sources[name];
@@ -109,6 +102,44 @@ class Comparator {
     return this.next;
   }
 
+  /**
+   * Create a source instance for the NEXT index. Configurations that can't be
+   * instantiated are added to the index's skipped entries, with the reason.
+   *
+   * @param  {String}  name
+   * @param  {Object}  providers A hash of type-to-class for Sources
+   * @return {Boolean} True if the source was created
+   * @private
+   */
+  _create(name, providers) {
+    const config = this.next.configurations[name];
+    const skip = (reason) => {
+      this.next.skip(config, reason, true);
+
+      return false;
+    };
+
+    if (!providers.hasOwnProperty(config.type)) { // eslint-disable-line no-use-before-define
+      Log.log('WARN', `Source type ${config.type} does not have a registered provider! Ignoring.`);
+
+      return skip(`Source type ${config.type} does not have a registered provider`);
+    }
+
+    const Type = providers[config.type];
+
+    try {
+      this.next.sources[name] = new Type(config.name, config.parameters);
+    } catch (err) {
+      Log.log('WARN', `Unable to create source ${name}: ${err.message}. Ignoring!`);
+
+      return skip(err.message);
+    }
+
+    this.next.sources[name].required = config.required === true;
+
+    return true;
+  }
+
   /**
    * Shutdown removed sources in the CURRENT index
    *
@@ -116,7 +147,10 @@ class Comparator {
    */
   cleanup() {
     this.destroy.forEach((name) => {
-      this.current.sources[name].shutdown();
+      // Sources that couldn't be created have nothing to shut down
+      if (this.current.sources[name]) {
+        this.current.sources[name].shutdown();
+      }
     });
 
     return this.current;
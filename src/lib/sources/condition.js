@@ -0,0 +1,403 @@
+'use strict';
+
+const DELIMITER = ':';
+
+// Order matters: longer operators must be matched before their prefixes
+const TOKENS = [
+  ['space', /^\s+/],
+  ['string', /^"((?:[^"\\]|\\.)*)"|^'((?:[^'\\]|\\.)*)'/],
+  ['regex', /^\/((?:[^\/\\]|\\.)+)\/([A-Za-z]*)/],
+  ['number', /^-?\d+(\.\d+)?/],
+  ['operator', /^(==|!=|=~|!~|&&|\|\||!|\(|\)|\[|\]|,)/],
+  ['word', /^[A-Za-z_$][\w$\-.]*(:[\w$\-.]+)*/]
+];
+
+// The `g` and `y` flags make RegExp#test stateful, so that repeated tests of a value alternate
+const FLAGS = /^[imu]*$/;
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+/**
+ * Compile a regular expression
+ *
+ * @param  {String} source
+ * @param  {String} flags
+ * @param  {String} expression  The condition that contains the regular expression
+ * @return {RegExp}
+ * @throws {SyntaxError} If the regular expression or its flags aren't valid
+ */
+const compile = (source, flags, expression) => {
+  if (!FLAGS.test(flags)) {
+    throw new SyntaxError(`Unsupported regular expression flags '${flags}' in condition \`${expression}\`, ` +
+                          'expected i, m or u');
+  }
+
+  try {
+    return new RegExp(source, flags);
+  } catch (err) {
+    throw new SyntaxError(`Invalid regular expression /${source}/ in condition \`${expression}\`: ${err.message}`);
+  }
+};
+
+/**
+ * Split an expression into tokens
+ *
+ * @param  {String} expression
+ * @return {Array<{type, value}>}
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let rest = expression;
+
+  while (rest.length > 0) {
+    let matched = null;
+
+    for (let i = 0; i < TOKENS.length && !matched; i++) {
+      const match = TOKENS[i][1].exec(rest);
+
+      if (match) {
+        matched = {type: TOKENS[i][0], match};
+      }
+    }
+
+    if (!matched) {
+      throw new SyntaxError(`Unexpected character '${rest[0]}' in condition \`${expression}\``);
+    }
+
+    rest = rest.slice(matched.match[0].length);
+
+    switch (matched.type) {
+      case 'space':
+        break;
+      case 'string':
+        tokens.push({
+          type: 'literal',
+          value: (typeof matched.match[1] === 'string' ? matched.match[1] : matched.match[2]).replace(/\\(.)/g, '$1')
+        });
+        break;
+      case 'regex':
+        tokens.push({type: 'literal', value: compile(matched.match[1], matched.match[2], expression)});
+        break;
+      case 'number':
+        tokens.push({type: 'literal', value: Number(matched.match[0])});
+        break;
+      case 'word':
+        if (KEYWORDS.hasOwnProperty(matched.match[0])) {
+          tokens.push({type: 'literal', value: KEYWORDS[matched.match[0]]});
+        } else if (matched.match[0] === 'in' || matched.match[0] === 'not') {
+          tokens.push({type: 'operator', value: matched.match[0]});
+        } else {
+          tokens.push({type: 'path', value: matched.match[0].split(DELIMITER)});
+        }
+        break;
+      default:
+        tokens.push({type: 'operator', value: matched.match[0]});
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Look up a colon-delimited path in a properties object
+ *
+ * @param  {Object} properties
+ * @param  {Array}  path
+ * @return {*}  The value at the path, or undefined if any part of it doesn't exist
+ */
+const lookup = (properties, path) => path.reduce((node, key) => {
+  if (node instanceof Object && node.hasOwnProperty(key)) {
+    return node[key];
+  }
+
+  return undefined; // eslint-disable-line no-undefined
+}, properties);
+
+/**
+ * Compare two scalar values. Property values are often strings, so values are
+ * compared by their string representations. Undefined values equal `null`.
+ *
+ * @param  {*} a
+ * @param  {*} b
+ * @return {Boolean}
+ */
+const equals = (a, b) => {
+  const missing = (value) => value === null || typeof value === 'undefined';
+
+  if (missing(a) || missing(b)) {
+    return missing(a) && missing(b);
+  }
+
+  return String(a) === String(b);
+};
+
+/**
+ * Evaluate a binary comparison
+ *
+ * @param  {String} operator
+ * @param  {*} left
+ * @param  {*} right
+ * @return {Boolean}
+ */
+const compare = (operator, left, right) => {
+  switch (operator) {
+    case '==':
+      return equals(left, right);
+    case '!=':
+      return !equals(left, right);
+    case '=~':
+    case '!~': {
+      const pattern = right instanceof RegExp ? right : new RegExp(String(right));
+      const matches = typeof left !== 'undefined' && left !== null && pattern.test(String(left));
+
+      return operator === '=~' ? matches : !matches;
+    }
+    case 'in':
+      return right instanceof Array && right.some((value) => equals(left, value));
+    default:
+      // `not in`
+      return !(right instanceof Array && right.some((value) => equals(left, value)));
+  }
+};
+
+/**
+ * A boolean expression that decides whether an index entry applies to this host
+ *
+ * Expressions compare values from the persistent properties, referenced by
+ * colon-delimited paths like template parameters, with literals:
+ *
+ *   instance:tags:Environment == "prod" && instance:region in ["us-east-1", "us-west-2"]
+ *   !(instance:hostname =~ /^canary-/)
+ *
+ * A path on its own is true if its value is defined and truthy.
+ *
+ * @class Condition
+ */
+class Condition {
+  /**
+   * Parse an expression
+   *
+   * @param  {String} expression
+   * @return {Condition}
+   * @throws {SyntaxError} If the expression isn't valid
+   */
+  static parse(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+      throw new SyntaxError('Conditions must be non-empty strings');
+    }
+
+    return new this(expression);
+  }
+
+  /**
+   * Constructor
+   * @param {String} expression
+   */
+  constructor(expression) {
+    this.expression = expression;
+    this.tokens = tokenize(expression);
+    this.position = 0;
+
+    this.tree = this._or();
+
+    if (this.position < this.tokens.length) {
+      this._unexpected();
+    }
+
+    delete this.tokens;
+    delete this.position;
+  }
+
+  /**
+   * Evaluate the expression against a properties object
+   *
+   * @param  {Object} properties
+   * @return {Boolean}
+   */
+  test(properties) {
+    return !!this.tree(properties || {});
+  }
+
+  /**
+   * Return the next token if it's the given operator, and advance past it
+   *
+   * @param  {String} operator
+   * @return {Object|null}
+   * @private
+   */
+  _accept(operator) {
+    const token = this.tokens[this.position];
+
+    if (token && token.type === 'operator' && token.value === operator) {
+      this.position += 1;
+
+      return token;
+    }
+
+    return null;
+  }
+
+  /**
+   * Require that the next token is the given operator
+   *
+   * @param {String} operator
+   * @private
+   */
+  _expect(operator) {
+    if (!this._accept(operator)) {
+      this._unexpected(`'${operator}'`);
+    }
+  }
+
+  /**
+   * Throw an error for the current token
+   *
+   * @param {String} expected  A description of what was expected
+   * @private
+   */
+  _unexpected(expected) {
+    const token = this.tokens[this.position];
+    const found = token ? `'${token.value}'` : 'end of condition';
+
+    throw new SyntaxError(`Unexpected ${found}${expected ? `, expected ${expected}` : ''} ` +
+                          `in condition \`${this.expression}\``);
+  }
+
+  /**
+   * or := and ( '||' and )*
+   *
+   * @return {Function}
+   * @private
+   */
+  _or() {
+    let left = this._and();
+
+    while (this._accept('||')) {
+      const a = left;
+      const b = this._and();
+
+      left = (properties) => a(properties) || b(properties);
+    }
+
+    return left;
+  }
+
+  /**
+   * and := not ( '&&' not )*
+   *
+   * @return {Function}
+   * @private
+   */
+  _and() {
+    let left = this._not();
+
+    while (this._accept('&&')) {
+      const a = left;
+      const b = this._not();
+
+      left = (properties) => a(properties) && b(properties);
+    }
+
+    return left;
+  }
+
+  /**
+   * not := '!' not | comparison
+   *
+   * @return {Function}
+   * @private
+   */
+  _not() {
+    if (this._accept('!')) {
+      const operand = this._not();
+
+      return (properties) => !operand(properties);
+    }
+
+    return this._comparison();
+  }
+
+  /**
+   * comparison := '(' or ')' | value ( ( '==' | '!=' | '=~' | '!~' | 'in' | 'not' 'in' ) value )?
+   *
+   * @return {Function}
+   * @private
+   */
+  _comparison() {
+    if (this._accept('(')) {
+      const inner = this._or();
+
+      this._expect(')');
+
+      return inner;
+    }
+
+    const left = this._value();
+    let operator = ['==', '!=', '=~', '!~', 'in'].find((op) => !!this._accept(op));
+
+    if (!operator && this._accept('not')) {
+      this._expect('in');
+      operator = 'not in';
+    }
+
+    if (!operator) {
+      return (properties) => !!left(properties);
+    }
+
+    const token = this.tokens[this.position];
+    let right = this._value();
+
+    // Compile string patterns once, so that invalid patterns are rejected here
+    if ((operator === '=~' || operator === '!~') && token.type === 'literal' && typeof token.value === 'string') {
+      const pattern = compile(token.value, '', this.expression);
+
+      right = () => pattern;
+    }
+
+    return (properties) => compare(operator, left(properties), right(properties));
+  }
+
+  /**
+   * value := literal | path | '[' ( value ( ',' value )* )? ']'
+   *
+   * @return {Function}
+   * @private
+   */
+  _value() {
+    const token = this.tokens[this.position];
+
+    if (this._accept('[')) {
+      const values = [];
+
+      if (!this._accept(']')) {
+        do {
+          values.push(this._value());
+        } while (this._accept(','));
+
+        this._expect(']');
+      }
+
+      return (properties) => values.map((value) => value(properties));
+    }
+
+    if (token && token.type === 'literal') {
+      this.position += 1;
+
+      return () => token.value;
+    }
+
+    if (token && token.type === 'path') {
+      this.position += 1;
+
+      return (properties) => lookup(properties, token.value);
+    }
+
+    return this._unexpected('a value');
+  }
+}
+
+module.exports = Condition;
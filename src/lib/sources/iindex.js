@@ -2,6 +2,54 @@
 'use strict';
 const Crypto = require('crypto');
 const StringTemplate = require('../string-template');
+const Condition = require('./condition');
+
+/**
+ * Serialize a value to JSON with object keys in sorted order, so that equivalent
+ * objects always serialize identically
+ *
+ * @param  {*} value
+ * @return {String}
+ */
+const canonical = (value) => {
+  if (value instanceof Array) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+
+  if (value instanceof Object) {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Evaluate a source configuration's `when` and `unless` conditions. `when` may be
+ * a condition or an array of conditions that must all be true. `unless` may be a
+ * condition or an array of conditions that must all be false.
+ *
+ * @param  {Object} config      A source configuration
+ * @param  {Object} properties  Values that conditions are evaluated against
+ * @return {String|null}        The reason that the source should be skipped, if it should be
+ */
+const skip = (config, properties) => {
+  const when = config.hasOwnProperty('when') ? [].concat(config.when) : [];
+  const unless = config.hasOwnProperty('unless') ? [].concat(config.unless) : [];
+
+  const unmet = when.find((expression) => !Condition.parse(expression).test(properties));
+
+  if (typeof unmet !== 'undefined') {
+    return `\`when\` condition \`${unmet}\` is false`;
+  }
+
+  const met = unless.find((expression) => Condition.parse(expression).test(properties));
+
+  if (typeof met !== 'undefined') {
+    return `\`unless\` condition \`${met}\` is true`;
+  }
+
+  return null;
+};
 
 /**
  * Manage a version of the dynamic source index
@@ -16,42 +64,153 @@ class Index {
     this.configurations = {};
     this.sources = {};
     this.order = [];
+    this.properties = properties;
+
+    // Names without the numbers that tell identical unnamed configurations apart
+    this.keys = {};
+
+    // Configurations that were ignored, and why
+    this.skipped = [];
 
     // Store the order that source configurations were defined in
-    configs.forEach((config) => {
-      if (!config.hasOwnProperty('type') || !config.type) {
-        Log.log('WARN', 'Source configuration does not have a `type` parameter! Ignoring.');
+    configs.forEach((config) => this.add(config));
+  }
 
-        return;
-      }
+  /**
+   * Add a source configuration to the index, unless its conditions don't apply or
+   * it can't be rendered
+   *
+   * @param  {Object} config  A source configuration
+   * @return {String|null}    The configuration's name, or null if it was ignored
+   */
+  add(config) {
+    const properties = this.properties;
 
-      // If the config object doesn't have a name, generate one... Begrudgingly.
-      if (!config.hasOwnProperty('name') || !config.name) {
-        config.name = config.type + ':' + // eslint-disable-line no-param-reassign
-          Crypto.randomBytes(8).toString('hex'); // eslint-disable-line rapid7/static-magic-numbers
+    if (!config.hasOwnProperty('type') || !config.type) {
+      Log.log('WARN', 'Source configuration does not have a `type` parameter! Ignoring.');
 
-        Log.log('WARN', `Source configuration does not have a \`name\` parameter! Generated ${config.name}`);
+      return null;
+    }
+
+    const label = config.name || config.type;
+
+    // Ignore configurations whose conditions don't apply to this host
+    try {
+      const reason = skip(config, properties);
+
+      if (reason) {
+        Log.log('INFO', `Skipping source ${label}: ${reason}`);
+        this.skip(config, reason, false);
+
+        return null;
       }
+    } catch (err) {
+      Log.log('WARN', `Unable to evaluate conditions in configuration for ${label}: ${err.message}. Ignoring!`);
+      this.skip(config, err.message, true);
+
+      return null;
+    }
+
+    let rendered = config;
+
+    // If a properties object was provided, pass config through StringTemplate
+    if (properties instanceof Object) {
+      try {
+        rendered = StringTemplate.render(config, properties);
+      } catch (err) {
+        // Ignore configurations that we can't perform string interpolation upon
+        Log.log('WARN', `Unable to interpolate variables in configuration for ${label}: ${err.message}. Ignoring!`);
+        this.skip(config, err.message, true);
 
-      // Hash configuration objects by name, and store original order
-      if (properties instanceof Object) {
-        // If a properties object was provided, pass config through StringTemplate
-        try {
-          this.configurations[config.name] = StringTemplate.render(config, properties);
-        } catch (err) {
-          // Ignore configurations that we can't perform string interpolation upon
-          Log.log('WARN', `Unable to interpolate variables in configuration for ${config.name}: ${err.message}. Ignoring!`);
-
-          return;
-        }
-      } else {
-        this.configurations[config.name] = config;
+        return null;
       }
+    }
 
-      this.order.push(config.name);
+    let key = rendered.name;
+
+    // If the config object doesn't have a name, derive one from its contents so
+    // that it's stable across updates of the index
+    if (!rendered.hasOwnProperty('name') || !rendered.name) {
+      key = this._hash(rendered);
+      rendered = Object.assign({}, rendered, {name: this._name(key)});
+
+      Log.log('WARN', `Source configuration does not have a \`name\` parameter! Generated ${rendered.name}`);
+    }
+
+    // Hash configuration objects by name, and store original order
+    this.configurations[rendered.name] = rendered;
+    this.keys[rendered.name] = key;
+    this.order.push(rendered.name);
+
+    return rendered.name;
+  }
+
+  /**
+   * Remove a configuration that was added to the index
+   *
+   * @param {String} name
+   */
+  remove(name) {
+    const position = this.order.lastIndexOf(name);
+
+    if (position > -1) {
+      this.order.splice(position, 1);
+    }
+
+    delete this.configurations[name];
+    delete this.keys[name];
+  }
+
+  /**
+   * Record a configuration that wasn't added to the index
+   *
+   * @param {Object}  config  A source configuration
+   * @param {String}  reason  Why the configuration was skipped
+   * @param {Boolean} error   Whether the configuration was skipped because of an error,
+   *                          rather than because its conditions don't apply
+   */
+  skip(config, reason, error) {
+    this.skipped.push({
+      name: config.name,
+      type: config.type,
+      required: config.required === true,
+      error,
+      reason
     });
   }
 
+  /**
+   * Derive a name for an unnamed configuration from a hash of its contents
+   *
+   * @param  {Object} config  A rendered source configuration
+   * @return {String}
+   * @private
+   */
+  _hash(config) {
+    const hash = Crypto.createHash('sha1').update(canonical(config)).digest('hex')
+      .slice(0, Index.NAME_HASH_LENGTH);
+
+    return `${config.type}:${hash}`;
+  }
+
+  /**
+   * Generate a name for an unnamed configuration from its hash. Identical
+   * configurations are numbered in the order that they're defined.
+   *
+   * @param  {String} base  The configuration's hash, from `_hash`
+   * @return {String}
+   * @private
+   */
+  _name(base) {
+    let name = base;
+
+    for (let i = 2; this.configurations.hasOwnProperty(name); i++) {
+      name = `${base}:${i}`;
+    }
+
+    return name;
+  }
+
   /**
    * Return an ordered set of the Source instances for this index
    *
@@ -62,4 +221,7 @@ class Index {
       .map((name) => this.sources[name]);
   }
 }
+// Number of hex characters of a configuration's hash used in generated names
+Index.NAME_HASH_LENGTH = 16; // eslint-disable-line rapid7/static-magic-numbers
+
 module.exports = Index;
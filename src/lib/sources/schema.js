@@ -0,0 +1,173 @@
+'use strict';
+
+const Condition = require('./condition');
+
+// Strings with template parameters can't be type-checked until they're rendered
+const M_TEMPLATE = /\{\{.+?\}\}/;
+
+/**
+ * Type checks for schema parameter types
+ */
+const TYPES = {
+  string: (value) => typeof value === 'string',
+  number: (value) => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))),
+  boolean: (value) => typeof value === 'boolean',
+  object: (value) => value instanceof Object && !(value instanceof Array),
+  array: (value) => value instanceof Array
+};
+
+/**
+ * Prefix a type name with an indefinite article
+ *
+ * @param  {String} type
+ * @return {String}
+ */
+const article = (type) => (/^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+/**
+ * Schema for the keys of index entries
+ */
+const ENTRY = {
+  name: {type: 'string'},
+  type: {type: 'string', required: true},
+  parameters: {type: 'object'},
+  when: {type: ['string', 'array']},
+  unless: {type: ['string', 'array']},
+  required: {type: 'boolean'}
+};
+
+/**
+ * Check a set of values against a schema
+ *
+ * @param  {Object} values
+ * @param  {Object} schema  A hash of keys to `{type, required, values, pattern, validate}` specifications.
+ *                          Values that don't match a `pattern`, or that a `validate` function
+ *                          rejects, are described by its `description`.
+ * @param  {String} label   Describes the values in error messages
+ * @return {Array<String>}  Errors
+ */
+const check = (values, schema, label) => {
+  const errors = [];
+
+  Object.keys(schema).forEach((key) => {
+    const spec = schema[key];
+    const value = values[key];
+
+    if (value === null || typeof value === 'undefined' || value === '') {
+      if (spec.required) {
+        errors.push(`${label} \`${key}\` is required`);
+      }
+
+      return;
+    }
+
+    if (typeof value === 'string' && M_TEMPLATE.test(value)) {
+      return;
+    }
+
+    const types = [].concat(spec.type);
+
+    if (!types.some((type) => TYPES[type](value))) {
+      errors.push(`${label} \`${key}\` must be ${types.map(article).join(' or ')}`);
+
+      return;
+    }
+
+    if (spec.values && spec.values.indexOf(value) === -1) {
+      errors.push(`${label} \`${key}\` must be one of ${spec.values.join(', ')}`);
+
+      return;
+    }
+
+    if (spec.pattern && !spec.pattern.test(String(value))) {
+      errors.push(`${label} \`${key}\` must be ${spec.description}`);
+
+      return;
+    }
+
+    if (spec.validate && !spec.validate(value)) {
+      errors.push(`${label} \`${key}\` must be ${spec.description}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate a single index entry
+ *
+ * @param  {Object} config     An index entry
+ * @param  {Number} position   The entry's position in the index
+ * @param  {Object} providers  A hash of type-to-class for Sources
+ * @return {Array<String>}     Errors
+ */
+const entry = (config, position, providers) => {
+  if (!(config instanceof Object) || config instanceof Array) {
+    return [`sources[${position}] must be an object`];
+  }
+
+  const label = `sources[${position}]${typeof config.name === 'string' ? ` (${config.name})` : ''}`;
+  const errors = check(config, ENTRY, `${label}:`);
+
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (!providers.hasOwnProperty(config.type)) {
+    return [`${label}: type \`${config.type}\` is not one of ${Object.keys(providers).join(', ')}`];
+  }
+
+  ['when', 'unless'].forEach((key) => {
+    if (!config.hasOwnProperty(key)) {
+      return;
+    }
+
+    [].concat(config[key]).forEach((expression) => {
+      try {
+        Condition.parse(expression);
+      } catch (err) {
+        errors.push(`${label}: \`${key}\` ${err.message}`);
+      }
+    });
+  });
+
+  return errors.concat(check(config.parameters || {}, providers[config.type].SCHEMA || {}, `${label}: parameter`));
+};
+
+/**
+ * Validate the entries of an index document, and their parameters against the
+ * schema of their type's Source provider.
+ *
+ * @param  {Array}  configs    Index entries
+ * @param  {Object} providers  A hash of type-to-class for Sources
+ * @return {Array<String>}     Errors. The index is valid if there are none.
+ */
+exports.validate = function validate(configs, providers) {
+  if (!(configs instanceof Array)) {
+    return ['`sources` must be an array'];
+  }
+
+  const names = {};
+
+  return configs.reduce((errors, config, position) => {
+    const problems = entry(config, position, providers);
+
+    if (problems.length > 0) {
+      return errors.concat(problems);
+    }
+
+    // Unnamed entries are named after their contents by the Index
+    if (!config.name) {
+      return errors;
+    }
+
+    if (names.hasOwnProperty(config.name)) {
+      return errors.concat(`sources[${position}] (${config.name}): \`name\` is also used by sources[${names[config.name]}]`);
+    }
+
+    names[config.name] = position;
+
+    return errors;
+  }, []);
+};
@@ -1,5 +1,96 @@
 'use strict';
 
+/**
+ * Split the contents of a template parameter into words, quoted strings and the
+ * `|` operators between filters
+ *
+ * @param  {String} expression
+ * @return {Array<Object>}  Tokens with a `type` of `word`, `string` or `pipe`
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let position = 0;
+
+  while (position < expression.length) {
+    const character = expression[position];
+
+    if (/\s/.test(character)) {
+      position += 1;
+    } else if (character === '|') {
+      tokens.push({type: 'pipe'});
+      position += 1;
+    } else if (character === '"' || character === '\'') {
+      let value = '';
+
+      position += 1;
+      while (position < expression.length && expression[position] !== character) {
+        if (expression[position] === '\\' && position + 1 < expression.length) {
+          position += 1;
+        }
+
+        value += expression[position];
+        position += 1;
+      }
+
+      if (position >= expression.length) {
+        throw new SyntaxError(`Unterminated string in template parameter ${expression}`);
+      }
+
+      tokens.push({type: 'string', value});
+      position += 1;
+    } else {
+      const word = /^[^\s|"']+/.exec(expression.slice(position))[0];
+
+      tokens.push({type: 'word', value: word});
+      position += word.length;
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parse the contents of a template parameter into a path and a chain of filters,
+ * e.g. `instance:tags:Team | lower | default "shared"`
+ *
+ * @param  {String} expression
+ * @param  {Object} filters     A hash of the filters that may be used
+ * @return {{path: String, filters: Array<{name: String, args: Array<String>}>}}
+ */
+const parse = (expression, filters) => {
+  const tokens = tokenize(expression);
+  const path = tokens.shift();
+
+  if (!path || path.type !== 'word') {
+    throw new SyntaxError(`Missing parameter name in template parameter ${expression}`);
+  }
+
+  const chain = [];
+
+  while (tokens.length > 0) {
+    const pipe = tokens.shift();
+    const name = tokens.shift();
+
+    if (pipe.type !== 'pipe' || !name || name.type !== 'word') {
+      throw new SyntaxError(`Expected a filter after \`|\` in template parameter ${expression}`);
+    }
+
+    if (!filters.hasOwnProperty(name.value)) {
+      throw new SyntaxError(`Unknown filter \`${name.value}\` in template parameter ${expression}`);
+    }
+
+    const args = [];
+
+    while (tokens.length > 0 && tokens[0].type !== 'pipe') {
+      args.push(tokens.shift().value);
+    }
+
+    chain.push({name: name.value, args});
+  }
+
+  return {path: path.value, filters: chain};
+};
+
 /**
  * Use mustache template-style strings to interpolate data from an object.
  *
@@ -22,6 +113,9 @@ class StringTemplate {
    * @return {boolean}
    */
   static isTemplate(string) {
+    // CAPTURE is a global expression, so `test` would otherwise resume from the last match
+    this.CAPTURE.lastIndex = 0;
+
     return this.CAPTURE.test(string);
   }
 
@@ -50,21 +144,54 @@ class StringTemplate {
     return iter(object, (value) => this.coerce(value, scope)); // eslint-disable-line no-use-before-define
   }
 
+  /**
+   * Get a value from a deep object
+   *
+   * @param  {Object}        scope
+   * @param  {Array<String>} path   The keys to traverse
+   * @return {*}                    The value, or undefined if it doesn't exist
+   */
+  static lookup(scope, path) {
+    let node = scope;
+
+    // Traverse the scope object
+    for (let i = 0; i < path.length; i++) {
+      if (!(node instanceof Object) || !node.hasOwnProperty(path[i])) {
+        return undefined;
+      }
+      node = node[path[i]];
+    }
+
+    return node;
+  }
+
+  /**
+   * Get the value of a parameter from the template's scope
+   *
+   * @param  {Array<String>} path  The keys to traverse
+   * @return {*}                   The value, or undefined if it doesn't exist
+   */
+  lookup(path) {
+    return this.constructor.lookup(this.scope, path);
+  }
+
   /**
    * Convert a template to an interpolated string
    * @return {string}
    */
   toString() {
     return this.template.replace(this.constructor.CAPTURE, (match, capture) => {
-      const path = capture.split(this.constructor.DELIMITER);
-      let node = this.scope;
-
-      // Traverse the scope object
-      for (let i = 0; i < path.length; i++) {
-        if (!node.hasOwnProperty(path[i])) {
-          throw new ReferenceError('Undefined parameter ' + capture);
+      const expression = parse(capture, this.constructor.FILTERS);
+      const node = expression.filters.reduce((value, filter) => {
+        if (typeof value === 'undefined' && filter.name !== 'default') {
+          return value;
         }
-        node = node[path[i]];
+
+        return this.constructor.FILTERS[filter.name].apply(null, [value].concat(filter.args));
+      }, this.lookup(expression.path.split(this.constructor.DELIMITER)));
+
+      if (typeof node === 'undefined') {
+        throw new ReferenceError('Undefined parameter ' + expression.path);
       }
 
       return node;
@@ -74,6 +201,22 @@ class StringTemplate {
 
 StringTemplate.CAPTURE = /\{\{ ?(.+?) ?\}\}/g;
 StringTemplate.DELIMITER = ':';
+
+/**
+ * Filters that can be applied to parameters with `|`. Each receives the value of
+ * the parameter, followed by the filter's arguments. Filters other than `default`
+ * aren't applied to undefined parameters.
+ */
+StringTemplate.FILTERS = {
+  default: (value, fallback) => ((typeof value === 'undefined' || value === null) ? fallback : value),
+  lower: (value) => String(value).toLowerCase(),
+  upper: (value) => String(value).toUpperCase(),
+  trim: (value) => String(value).trim(),
+  replace: (value, search, replacement) => String(value).split(search).join(replacement || ''),
+  split: (value, separator) => String(value).split(typeof separator === 'undefined' ? ',' : separator),
+  join: (value, separator) => [].concat(value).join(typeof separator === 'undefined' ? ',' : separator),
+  urlencode: (value) => encodeURIComponent(String(value))
+};
 StringTemplate.prototype.toJSON = StringTemplate.prototype.toString;
 
 /* Export */
@@ -0,0 +1,230 @@
+/* global Log, Config */
+'use strict';
+
+const Client = require('consul');
+const Utils = require('consul/lib/utils');
+const FS = require('fs');
+
+/**
+ * Resolve a Consul ACL token from, in order of precedence, a file, an explicitly
+ * configured token, or the CONSUL_HTTP_TOKEN environment variable. Token files
+ * are re-read whenever their modification time changes, so tokens can be rotated
+ * without restarting Propsd.
+ *
+ * @class Token
+ */
+class Token {
+  /**
+   * Constructor
+   * @param {Object} options
+   * @param {String} options.token      An ACL token
+   * @param {String} options.tokenFile  Path to a file containing an ACL token
+   * @param {Boolean} options.environment  Whether to fall back to CONSUL_HTTP_TOKEN. Defaults to true
+   */
+  constructor(options) {
+    this.token = options.token || (options.environment === false ? null : process.env.CONSUL_HTTP_TOKEN) || null;
+    this.file = options.tokenFile || null;
+
+    this._value = null;
+    this._mtime = null;
+  }
+
+  /**
+   * Get the current token. The token file is only read by `refresh`.
+   *
+   * @return {String|null}
+   */
+  get value() {
+    return this._value || this.token;
+  }
+
+  /**
+   * Check the token file without blocking, and read it again if it has changed.
+   * Requests reuse the token that was read until the next refresh.
+   *
+   * @param {Function} callback  Called once the token is current. It never receives an error:
+   *                             tokens that can't be read fall back to the configured token.
+   */
+  refresh(callback) {
+    if (!this.file) {
+      callback();
+
+      return;
+    }
+
+    /**
+     * Forget the token of a file that can't be read
+     *
+     * @param {Error} err
+     */
+    const unreadable = (err) => {
+      Log.log('WARN', `Unable to read Consul ACL token file ${this.file}: ${err.message}`);
+
+      this._value = null;
+      this._mtime = null;
+      callback();
+    };
+
+    FS.stat(this.file, (err, stats) => {
+      if (err) {
+        return unreadable(err);
+      }
+
+      const mtime = stats.mtime.getTime();
+
+      if (mtime === this._mtime) {
+        return callback();
+      }
+
+      FS.readFile(this.file, (error, data) => {
+        if (error) {
+          return unreadable(error);
+        }
+
+        this._value = data.toString().trim() || null;
+        this._mtime = mtime;
+        callback();
+      });
+    });
+  }
+
+  /**
+   * Add the current token to a set of request options, if there is one
+   *
+   * @param  {Object} options
+   * @return {Object}
+   */
+  assign(options) {
+    const token = this.value;
+
+    if (token) {
+      options.token = token; // eslint-disable-line no-param-reassign
+    }
+
+    return options;
+  }
+}
+
+/**
+ * Read a PEM file for a TLS option
+ *
+ * @param  {String} path
+ * @return {Buffer|undefined}  Throws an Error if the file can't be read
+ */
+const pem = (path) => {
+  if (!path) {
+    return undefined; // eslint-disable-line no-undefined
+  }
+
+  try {
+    return FS.readFileSync(path);
+  } catch (err) {
+    throw new Error(`Unable to read Consul TLS file ${path}: ${err.message}`);
+  }
+};
+
+/**
+ * Get default Consul connection options from configuration
+ *
+ * @return {Object}
+ */
+exports.defaults = function defaults() {
+  return {
+    host: Config.get('consul:host'),
+    port: Config.get('consul:port'),
+    secure: Config.get('consul:secure'),
+    token: Config.get('consul:token'),
+    tokenFile: Config.get('consul:tokenFile'),
+    ca: Config.get('consul:ca'),
+    cert: Config.get('consul:cert'),
+    key: Config.get('consul:key')
+  };
+};
+
+// Connection parameters that name local files. They're only read from the daemon's
+// configuration, so that index documents can't make Propsd read arbitrary files.
+const LOCAL_FILES = ['tokenFile', 'ca', 'cert', 'key'];
+
+/**
+ * Get the connection options of a source from its index parameters, with defaults
+ * from configuration. Index parameters can't set the paths of local files, and the
+ * configured ACL token is only sent to the configured Consul agent. Sources that
+ * connect to another agent only send a `token` that their parameters set.
+ *
+ * @param  {Object} parameters  The source's parameters from an index document
+ * @return {Object}
+ */
+exports.options = function options(parameters) {
+  const params = parameters || {};
+  const defaults = exports.defaults();
+  const result = Object.assign({}, defaults, params);
+
+  LOCAL_FILES.forEach((key) => {
+    if (params.hasOwnProperty(key) && params[key] !== defaults[key]) {
+      Log.log('WARN', `Ignoring Consul parameter \`${key}\`: files are only read from the consul configuration`);
+    }
+
+    result[key] = defaults[key];
+  });
+
+  if (String(result.host) !== String(defaults.host) || String(result.port) !== String(defaults.port)) {
+    result.token = params.token || null;
+    result.tokenFile = null;
+    result.environment = false;
+  }
+
+  return result;
+};
+
+/**
+ * Create a Consul client with TLS options. `ca`, `cert` and `key` are paths to
+ * PEM encoded files.
+ *
+ * @param  {Object} options
+ * @return {Consul}  Throws an Error if a PEM file can't be read
+ */
+exports.create = function create(options) {
+  return Client({ // eslint-disable-line new-cap
+    host: options.host,
+    port: options.port,
+    secure: !!options.secure,
+    ca: pem(options.ca),
+    cert: pem(options.cert),
+    key: pem(options.key)
+  });
+};
+
+/**
+ * Make a GET request for an API with query parameters that the client's methods don't
+ * support, e.g. the `near` and `node-meta` parameters of /v1/health/service. The request
+ * is built with the same helpers that the client's methods use, so it has the client's
+ * defaults and common options like `dc`, `stale`, `token` and `timeout`.
+ *
+ * This relies on the client's private `_get` method and `_defaults`, and on `consul/lib/utils`.
+ * test/consul-client.js fails if an update to the client changes them.
+ *
+ * @param {Consul}   client
+ * @param {Object}   request   The request's `name`, `path`, `params` and `query`
+ * @param {Object}   options   Common options, as accepted by the client's methods
+ * @param {Function} callback  Function to call with the response's body
+ */
+exports.get = function get(client, request, options, callback) {
+  if (typeof client._get !== 'function') {
+    callback(new Error(`The Consul client doesn't support ${request.name} requests`));
+
+    return;
+  }
+
+  Utils.options(request, Utils.defaults(Utils.normalizeKeys(options), client._defaults));
+  client._get(request, Utils.body, callback);
+};
+
+exports.Token = Token;
+
+// Schema for connection parameters of Consul sources. Local files are only configured for the daemon.
+exports.SCHEMA = {
+  host: {type: 'string'},
+  port: {type: 'number'},
+  secure: {type: 'boolean'},
+  token: {type: 'string'}
+};
@@ -1,24 +1,122 @@
 'use strict';
 
+const isPlainObject = require('lodash.isplainobject');
+
+/**
+ * Index into an object along a path of keys, without throwing if a key doesn't exist
+ *
+ * @param  {*}             object
+ * @param  {Array<String>} path
+ * @return {{value: *, missing: Number}}  The index of the first key that doesn't exist, or -1
+ */
+exports.findNestedProperty = function findNestedProperty(object, path) {
+  let value = object;
+
+  for (let i = 0; i < path.length; i++) {
+    if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, path[i])) {
+      return {value: undefined, missing: i};
+    }
+
+    value = value[path[i]];
+  }
+
+  return {value, missing: -1};
+};
+
+/**
+ * Merge directives. Each receives the destination's current value and the directive's
+ * argument, and returns the new value. Returning undefined deletes the key.
+ */
+const DIRECTIVES = {
+  $delete: (current, value) => (value === true ? undefined : current),
+  $append: (current, value) => (current instanceof Array ? current : []).concat(value),
+  $prepend: (current, value) => [].concat(value, current instanceof Array ? current : []),
+
+  // Objects are merged into an empty Object so that any directives that they contain are applied
+  $replace: (current, value) => {
+    if (!isPlainObject(value)) {
+      return value;
+    }
+
+    return merge({}, value); // eslint-disable-line no-use-before-define
+  }
+};
+
 /**
- * Recursively index into an object until we get to the end of the queue
- * @param {Object} object
- * @param {Array} queue
- * @return {*}
+ * Get the name of the directive that an Object represents, if it is one. Directives
+ * are Objects with exactly one key, which names the directive.
+ *
+ * @param  {*} value
+ * @return {String|null}
  */
-const getNestedProperty = (object, queue) => {
-  if (queue.length === 0) {
-    return object;
+const directive = (value) => {
+  if (!isPlainObject(value)) {
+    return null;
   }
-  const k = queue.shift();
 
-  const prop = object[k];
+  const keys = Object.keys(value);
+
+  return keys.length === 1 && DIRECTIVES.hasOwnProperty(keys[0]) ? keys[0] : null;
+};
+
+exports.directive = directive;
 
-  if (typeof prop === 'undefined') {
-    throw new TypeError(`Key '${k}' does not exist in object ${JSON.stringify(object)}.`);
+/* eslint-disable eqeqeq */
+/**
+ * Deep-merge one Object into another. Do _not_ deep merge anything that isn't explicitly
+ * a first-order instance of Object.
+ *
+ * Source values may be directives that change how they're merged into the destination:
+ * `{"$delete": true}` removes the key, `{"$append": [...]}` and `{"$prepend": [...]}`
+ * add items to the end or start of an array, and `{"$replace": ...}` sets the value
+ * without deep-merging it.
+ *
+ * @param  {Object} destination   The destination of the merge operation. This object is mutated
+ * @param  {Object} source        The source that properties are merged from
+ * @return {Object}               The destination object
+ */
+const merge = (destination, source) => {
+  // Ensure that the destination value is an Object.
+  const dest = isPlainObject(destination) ? destination : {};
+
+  // Only merge source if it's an Object.
+  if (!isPlainObject(source)) {
+    return dest;
   }
 
-  return getNestedProperty(prop, queue);
+  Object.keys(source).forEach((key) => {
+    // Ignore null and undefined source values. `== null` covers both
+    if (source[key] == null) {
+      return;
+    }
+
+    const name = directive(source[key]);
+
+    if (name) {
+      const value = DIRECTIVES[name](dest[key], source[key][name]);
+
+      if (typeof value === 'undefined') {
+        delete dest[key];
+      } else {
+        dest[key] = value;
+      }
+
+      return;
+    }
+
+    // Is this an Object (but not something that inherits Object)?
+    if (Object.getPrototypeOf(source[key]) === Object.prototype) {
+      // Recursively merge source Object into destination
+      dest[key] = merge(dest[key], source[key]);
+
+      return;
+    }
+
+    dest[key] = source[key];
+  });
+
+  return dest;
 };
+/* eslint-enable eqeqeq */
 
-exports.getNestedProperty = getNestedProperty;
+exports.merge = merge;
@@ -0,0 +1,247 @@
+'use strict';
+
+const flatten = require('flat');
+const isPlainObject = require('lodash.isplainobject');
+
+// Path segments that match any one key, or any number of levels
+const WILDCARD = {wildcard: true};
+const DESCENDANTS = {descendants: true};
+
+const M_NAME = /^(\*|[^.[\]]+)/;
+const M_BRACKET = /^\[(\*|\d+|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)")\]/;
+
+/**
+ * Get the keys of an object, or the indices of an array
+ *
+ * @param  {*} value
+ * @return {Array<String>}
+ */
+const children = (value) => {
+  if (value instanceof Array) {
+    return value.map((item, index) => String(index));
+  }
+
+  return isPlainObject(value) ? Object.keys(value) : [];
+};
+
+/**
+ * Parse a JSONPath expression, e.g. `$.consul.*.addresses`, `$..addresses` or
+ * `$['service.name']`
+ *
+ * @param  {String} expression
+ * @return {Array}  Path segments
+ */
+const jsonpath = (expression) => {
+  const segments = [];
+  let rest = expression.slice(1);
+
+  /**
+   * Consume a member name or bracketed member from the rest of the expression
+   *
+   * @param {Boolean} bracketOnly  Only allow a bracketed member
+   */
+  const member = (bracketOnly) => {
+    const bracket = M_BRACKET.exec(rest);
+    const name = bracketOnly ? null : M_NAME.exec(rest);
+    const match = bracket || name;
+
+    if (!match) {
+      throw new SyntaxError(`Invalid JSONPath ${expression} at \`${rest}\``);
+    }
+
+    rest = rest.slice(match[0].length);
+
+    if (match[1] === '*') {
+      segments.push(WILDCARD);
+    } else if (bracket && (typeof match[2] === 'string' || typeof match[3] === 'string')) {
+      segments.push((typeof match[2] === 'string' ? match[2] : match[3]).replace(/\\(.)/g, '$1'));
+    } else {
+      segments.push(match[1]);
+    }
+  };
+
+  while (rest.length > 0) {
+    if (rest.startsWith('..')) {
+      rest = rest.slice(2);
+      segments.push(DESCENDANTS);
+      member(false);
+    } else if (rest.startsWith('.')) {
+      rest = rest.slice(1);
+      member(false);
+    } else {
+      member(true);
+    }
+  }
+
+  return segments;
+};
+
+/**
+ * Parse a selector. Selectors starting with `$` are JSONPath expressions. Otherwise
+ * they're dot-delimited keys, where `*` matches any key and `**` matches any number
+ * of levels, e.g. `consul.*.addresses`.
+ *
+ * @param  {String} selector
+ * @return {Array}  Path segments
+ */
+const parse = (selector) => {
+  if (selector.startsWith('$')) {
+    return jsonpath(selector);
+  }
+
+  return selector.split('.').map((key) => {
+    if (key === '**') {
+      return DESCENDANTS;
+    }
+
+    return key === '*' ? WILDCARD : key;
+  });
+};
+
+exports.parse = parse;
+
+/**
+ * Find the paths of the values in a document that match a selector's segments
+ *
+ * @param  {*}             value
+ * @param  {Array}         segments
+ * @param  {Array<String>} path
+ * @param  {Map}           matches   Paths, by their JSON serialization
+ * @return {Map}
+ */
+const match = (value, segments, path, matches) => {
+  if (segments.length === 0) {
+    matches.set(JSON.stringify(path), path);
+
+    return matches;
+  }
+
+  const segment = segments[0];
+  const rest = segments.slice(1);
+
+  if (segment === DESCENDANTS) {
+    match(value, rest, path, matches);
+    children(value).forEach((key) => match(value[key], segments, path.concat(key), matches));
+  } else if (segment === WILDCARD) {
+    children(value).forEach((key) => match(value[key], rest, path.concat(key), matches));
+  } else if (children(value).indexOf(segment) !== -1) {
+    match(value[segment], rest, path.concat(segment), matches);
+  }
+
+  return matches;
+};
+
+/**
+ * Find the paths of the leaf values in a document whose dotted keys match a glob,
+ * where `*` matches within a key, and `**` matches across keys
+ *
+ * @param  {*}      value
+ * @param  {String} glob
+ * @return {Array<Array<String>>}
+ */
+const keys = (value, glob) => {
+  const pattern = new RegExp(`^${glob.split('**').map((part) =>
+    part.replace(/[|\\{}()[\]^$+.]/g, '\\$&').replace(/\*/g, '[^.]*').replace(/\?/g, '[^.]')).join('.*')}$`);
+  const found = [];
+
+  const walk = (node, path) => {
+    const names = children(node);
+
+    if (names.length === 0) {
+      if (path.length > 0 && pattern.test(path.join('.'))) {
+        found.push(path);
+      }
+
+      return;
+    }
+
+    names.forEach((key) => walk(node[key], path.concat(key)));
+  };
+
+  walk(value, []);
+
+  return found;
+};
+
+/**
+ * Copy the parts of a document at a set of paths, keeping their structure. Arrays
+ * keep the order of their selected items.
+ *
+ * @param  {*}                    value
+ * @param  {Array<Array<String>>} paths
+ * @return {*}
+ */
+const pick = (value, paths) => {
+  const selected = new Set(paths.map((path) => JSON.stringify(path)));
+  const prefixes = new Set();
+
+  paths.forEach((path) => {
+    for (let i = 0; i < path.length; i++) {
+      prefixes.add(JSON.stringify(path.slice(0, i)));
+    }
+  });
+
+  const walk = (node, path) => {
+    const key = JSON.stringify(path);
+
+    if (selected.has(key)) {
+      return node;
+    }
+
+    if (!prefixes.has(key)) {
+      return undefined;
+    }
+
+    const picked = children(node)
+      .map((name) => ({name, value: walk(node[name], path.concat(name))}))
+      .filter((child) => typeof child.value !== 'undefined');
+
+    if (node instanceof Array) {
+      return picked.map((child) => child.value);
+    }
+
+    return picked.reduce((object, child) => {
+      object[child.name] = child.value;
+
+      return object;
+    }, {});
+  };
+
+  const result = walk(value, []);
+
+  if (typeof result === 'undefined') {
+    return value instanceof Array ? [] : {};
+  }
+
+  return result;
+};
+
+/**
+ * Build a function that applies the `select`, `keys` and `flatten` query parameters
+ * of a request to a value. Each of `select` and `keys` may be given more than once.
+ *
+ * @param  {Object} query  A request's query parameters
+ * @return {Function}      Throws SyntaxError if a selector is invalid
+ */
+exports.compile = function compile(query) {
+  const selectors = [].concat(query.select || []).map(String).map(parse);
+  const globs = [].concat(query.keys || []).map(String);
+  const flat = query.flatten === 'true' || query.flatten === '1';
+
+  return (value) => {
+    let result = value;
+
+    if (selectors.length > 0) {
+      const matches = new Map();
+
+      selectors.forEach((segments) => match(result, segments, [], matches));
+      result = pick(result, Array.from(matches.values()));
+    }
+
+    if (globs.length > 0) {
+      result = pick(result, globs.reduce((paths, glob) => paths.concat(keys(result, glob)), []));
+    }
+
+    return flat && (isPlainObject(result) || result instanceof Array) ? flatten(result) : result;
+  };
+};
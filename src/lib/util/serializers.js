@@ -0,0 +1,145 @@
+'use strict';
+
+const YAML = require('js-yaml');
+const TOML = require('@iarna/toml');
+const isPlainObject = require('lodash.isplainobject');
+
+/**
+ * Flatten a value into a list of key paths and leaf values. Empty objects and
+ * arrays have no leaves.
+ *
+ * @param  {*}             value
+ * @param  {Array<String>} path
+ * @param  {Array}         collected
+ * @return {Array<{path: Array<String>, value: *}>}
+ */
+const leaves = (value, path, collected) => {
+  if (value instanceof Array) {
+    value.forEach((item, index) => leaves(item, path.concat(String(index)), collected));
+  } else if (isPlainObject(value)) {
+    Object.keys(value).forEach((key) => leaves(value[key], path.concat(key), collected));
+  } else if (value !== null && typeof value !== 'undefined') {
+    collected.push({path, value});
+  }
+
+  return collected;
+};
+
+/**
+ * Escape a string for a Java properties file. Keys also escape separators and
+ * comment characters, and values escape a leading space.
+ *
+ * @param  {String}  string
+ * @param  {Boolean} key
+ * @return {String}
+ */
+const escapeJava = (string, key) => string.replace(/[\\\n\r\t\f]|[^\x20-\x7e]/g, (character) => {
+  switch (character) {
+    case '\\': return '\\\\';
+    case '\n': return '\\n';
+    case '\r': return '\\r';
+    case '\t': return '\\t';
+    case '\f': return '\\f';
+    default: return `\\u${`000${character.charCodeAt(0).toString(16)}`.slice(-4)}`; // eslint-disable-line rapid7/static-magic-numbers
+  }
+}).replace(key ? /[=: #!]/g : /^ /, (character) => `\\${character}`);
+
+/**
+ * Quote a value for a dotenv file, if it contains anything other than simple
+ * characters
+ *
+ * @param  {String} string
+ * @return {String}
+ */
+const quoteEnv = (string) => {
+  if (/^[\w.,:/@+-]*$/.test(string)) {
+    return string;
+  }
+
+  return `"${string.replace(/[\\"$\n\r]/g, (character) => {
+    switch (character) {
+      case '\n': return '\\n';
+      case '\r': return '\\r';
+      default: return `\\${character}`;
+    }
+  })}"`;
+};
+
+// Key casings for dotenv output
+const CASES = {
+  upper: (key) => key.toUpperCase(),
+  lower: (key) => key.toLowerCase(),
+  preserve: (key) => key
+};
+
+/**
+ * Output formats for properties. Each has a Content-Type, the media types that
+ * select it in an Accept header, and a function that serializes a value with
+ * options from the request's query string.
+ */
+const SERIALIZERS = {
+  json: {
+    type: 'application/json',
+    accepts: ['application/json', 'text/json'],
+    serialize: (value) => JSON.stringify(value)
+  },
+  yaml: {
+    type: 'application/yaml',
+    accepts: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'],
+    serialize: (value) => YAML.safeDump(value, {skipInvalid: true})
+  },
+  toml: {
+    type: 'application/toml',
+    accepts: ['application/toml', 'text/toml'],
+    serialize: (value) => {
+      if (!isPlainObject(value)) {
+        throw new TypeError('Only objects can be serialized as TOML');
+      }
+
+      return TOML.stringify(value);
+    }
+  },
+  env: {
+    type: 'text/plain',
+    accepts: [],
+    serialize: (value, options) => {
+      const separator = typeof options.separator === 'string' ? options.separator : '_';
+      const casing = CASES[options.case || 'upper'];
+
+      return leaves(value, [], []).map((leaf) => {
+        const key = casing(leaf.path.map((segment) => segment.replace(/\W/g, '_')).join(separator));
+
+        return `${key}=${quoteEnv(String(leaf.value))}\n`;
+      }).join('');
+    }
+  },
+  properties: {
+    type: 'text/x-java-properties',
+    accepts: ['text/x-java-properties'],
+    serialize: (value) => leaves(value, [], []).map((leaf) =>
+      `${escapeJava(leaf.path.join('.'), true)}=${escapeJava(String(leaf.value), false)}\n`).join('')
+  }
+};
+
+exports.SERIALIZERS = SERIALIZERS;
+exports.CASES = Object.keys(CASES);
+exports.escapeJava = escapeJava;
+
+/**
+ * Pick an output format for a request. A `format` query parameter takes precedence
+ * over the Accept header. JSON is used if the Accept header doesn't match any
+ * other format.
+ *
+ * @param  {Express.req} req
+ * @return {String|null}  The name of the format, or null if the `format` parameter isn't supported
+ */
+exports.negotiate = function negotiate(req) {
+  if (req.query.hasOwnProperty('format')) {
+    return SERIALIZERS.hasOwnProperty(req.query.format) ? req.query.format : null;
+  }
+
+  const formats = Object.keys(SERIALIZERS);
+  const accepted = req.accepts(formats.reduce((types, format) => types.concat(SERIALIZERS[format].accepts), []));
+
+  return formats.find((format) => SERIALIZERS[format].accepts.indexOf(accepted) !== -1) || 'json';
+};
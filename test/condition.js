@@ -0,0 +1,86 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const Condition = require('../dist/lib/sources/condition');
+
+describe('Condition', function() {
+  const properties = {
+    instance: {
+      region: 'us-east-1',
+      hostname: 'canary-web-1',
+      'vpc-id': 'vpc-1234',
+      count: 3,
+      tags: {
+        Environment: 'prod',
+        'aws:autoscaling:groupName': 'web'
+      }
+    },
+    enabled: true
+  };
+
+  const test = (expression) => Condition.parse(expression).test(properties);
+
+  it('compares property values with literals', function() {
+    expect(test('instance:tags:Environment == "prod"')).to.equal(true);
+    expect(test('instance:tags:Environment != \'prod\'')).to.equal(false);
+    expect(test('instance:vpc-id == "vpc-1234"')).to.equal(true);
+    expect(test('instance:count == 3')).to.equal(true);
+    expect(test('instance:count == "3"')).to.equal(true);
+  });
+
+  it('tests membership of lists', function() {
+    expect(test('instance:region in ["us-east-1", "us-west-2"]')).to.equal(true);
+    expect(test('instance:region not in ["us-east-1", "us-west-2"]')).to.equal(false);
+    expect(test('instance:region in []')).to.equal(false);
+  });
+
+  it('matches regular expressions', function() {
+    expect(test('instance:hostname =~ /^canary-/')).to.equal(true);
+    expect(test('instance:hostname =~ /^CANARY-/i')).to.equal(true);
+    expect(test('instance:hostname !~ /^canary-/')).to.equal(false);
+    expect(test('instance:missing =~ /.*/')).to.equal(false);
+    expect(test('instance:hostname =~ "^canary-"')).to.equal(true);
+    expect(test('instance:hostname !~ "^web-"')).to.equal(true);
+  });
+
+  it('returns the same result each time a condition is tested', function() {
+    const condition = Condition.parse('instance:hostname =~ /^canary-/i');
+
+    expect([1, 2, 3].map(() => condition.test(properties))).to.eql([true, true, true]);
+  });
+
+  it('rejects stateful regular expression flags', function() {
+    expect(() => Condition.parse('instance:hostname =~ /^canary-/g')).to.throw(SyntaxError, /flags 'g'/);
+    expect(() => Condition.parse('instance:hostname =~ /^canary-/y')).to.throw(SyntaxError, /flags 'y'/);
+  });
+
+  it('rejects invalid regular expressions when they are parsed', function() {
+    expect(() => Condition.parse('instance:hostname =~ /(canary/')).to.throw(SyntaxError, /Invalid regular expression/);
+    expect(() => Condition.parse('instance:hostname =~ "(canary"')).to.throw(SyntaxError, /Invalid regular expression/);
+    expect(() => Condition.parse('instance:hostname == "(canary"')).to.not.throw();
+  });
+
+  it('tests whether a property is defined and truthy', function() {
+    expect(test('enabled')).to.equal(true);
+    expect(test('instance:missing')).to.equal(false);
+    expect(test('instance:missing == null')).to.equal(true);
+    expect(test('instance:tags:missing:deeper == "x"')).to.equal(false);
+  });
+
+  it('combines conditions with boolean operators', function() {
+    expect(test('instance:tags:Environment == "prod" && instance:region == "us-east-1"')).to.equal(true);
+    expect(test('instance:tags:Environment == "dev" || instance:region == "us-east-1"')).to.equal(true);
+    expect(test('!(instance:tags:Environment == "prod" && instance:region == "us-west-2")')).to.equal(true);
+    expect(test('instance:tags:Environment == "dev" || instance:count == 1 && enabled')).to.equal(false);
+  });
+
+  it('throws a SyntaxError for invalid expressions', function() {
+    expect(() => Condition.parse('')).to.throw(SyntaxError);
+    expect(() => Condition.parse('instance:region ==')).to.throw(SyntaxError);
+    expect(() => Condition.parse('instance:region in ["a"')).to.throw(SyntaxError);
+    expect(() => Condition.parse('instance:region = "a"')).to.throw(SyntaxError);
+    expect(() => Condition.parse('(enabled')).to.throw(SyntaxError);
+  });
+});
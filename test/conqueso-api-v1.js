@@ -14,12 +14,14 @@ const fixedRegex = /ab+c/i;
 
 const HTTP_OK = 200;
 const HTTP_METHOD_NOT_ALLOWED = 405;
+const HTTP_SERVICE_UNAVAILABLE = 503;
 
 const conquesoProperties = {
   instanceMetaData: {
     'meta.property.1': 'songs you have never heard of',
     'meta.property.2': 'artisanal cream cheese'
   },
+  built: true,
   properties: Promise.resolve({
     date: fixedDate,
     regex: fixedRegex,
@@ -35,6 +37,7 @@ const nestedProperties = {
     'meta.property.1': 'songs you have never heard of',
     'meta.property.2': 'artisanal cream cheese'
   },
+  built: true,
   properties: Promise.resolve({
     name: 'hipster-mode-enabled',
     value: true,
@@ -186,6 +189,7 @@ describe('Conqueso API v1', function() {
 
     consul.initialize().then(function() {
       server = makeServer({
+        built: true,
         properties: Promise.resolve(consul.properties)
       });
 
@@ -219,6 +223,7 @@ describe('Conqueso API v1', function() {
     server.close();
 
     server = makeServer({
+      built: true,
       properties: Promise.resolve({
         instance: {
           food: 'tacos'
@@ -234,4 +239,53 @@ describe('Conqueso API v1', function() {
       .expect('Content-Type', 'text/plain; charset=utf-8')
       .expect(HTTP_OK, 'gluten=free', done);
   });
+
+  it('escapes keys and values', function(done) {
+    server.close();
+
+    server = makeServer({
+      built: true,
+      properties: Promise.resolve({
+        'key with=separators': 'a=b: c',
+        multiline: 'first\nsecond',
+        path: 'C:\\temp'
+      }),
+      on() {}
+    });
+
+    request(server)
+      .get('/v1/conqueso/api/roles')
+      .set('Accept', 'text/plain')
+      .expect(HTTP_OK, [
+        'key\\ with\\=separators=a=b: c',
+        'multiline=first\\nsecond',
+        'path=C:\\\\temp'
+      ].join('\n'), done);
+  });
+
+  it('returns 503 until properties have been built', function(done) {
+    server.close();
+
+    server = makeServer({
+      built: false,
+      properties: Promise.resolve({}),
+      on() {}
+    });
+
+    request(server)
+      .get('/v1/conqueso/api/roles')
+      .expect(HTTP_SERVICE_UNAVAILABLE, {
+        status: HTTP_SERVICE_UNAVAILABLE,
+        error: 'Service Unavailable',
+        message: 'Properties have not been built yet'
+      }, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+          .get('/v1/conqueso/api/roles/web/properties/name')
+          .expect(HTTP_SERVICE_UNAVAILABLE, done);
+      });
+  });
 });
@@ -0,0 +1,215 @@
+'use strict';
+
+require('./lib/helpers');
+
+const FS = require('fs');
+const Path = require('path');
+const os = require('os');
+const expect = require('chai').expect;
+const nock = require('nock');
+
+const ConsulClient = require('../dist/lib/util/consul-client');
+
+describe('Util/ConsulClient', function() {
+  const directory = FS.mkdtempSync(Path.join(os.tmpdir(), 'propsd-consul-'));
+  const tokenFile = Path.join(directory, 'token');
+  const pemFile = Path.join(directory, 'ca.pem');
+
+  const refresh = (token) => new Promise((resolve) => token.refresh(resolve));
+
+  before(function() {
+    FS.writeFileSync(pemFile, '-----BEGIN CERTIFICATE-----\n');
+  });
+
+  afterEach(function() {
+    delete process.env.CONSUL_HTTP_TOKEN;
+
+    if (FS.existsSync(tokenFile)) {
+      FS.unlinkSync(tokenFile);
+    }
+  });
+
+  after(function() {
+    FS.unlinkSync(pemFile);
+    FS.rmdirSync(directory);
+  });
+
+  describe('Token', function() {
+    it('has no value by default', function() {
+      const token = new ConsulClient.Token({});
+
+      expect(token.value).to.equal(null);
+      expect(token.assign({})).to.not.have.property('token');
+    });
+
+    it('falls back to the CONSUL_HTTP_TOKEN environment variable', function() {
+      process.env.CONSUL_HTTP_TOKEN = 'environment';
+
+      expect(new ConsulClient.Token({}).value).to.equal('environment');
+      expect(new ConsulClient.Token({token: 'configured'}).value).to.equal('configured');
+    });
+
+    it('prefers a token file over a configured token', function() {
+      FS.writeFileSync(tokenFile, 'from-file\n');
+
+      const token = new ConsulClient.Token({token: 'configured', tokenFile});
+
+      return refresh(token).then(() => {
+        expect(token.value).to.equal('from-file');
+        expect(token.assign({stale: true})).to.eql({stale: true, token: 'from-file'});
+      });
+    });
+
+    it('only reads a token file again when it\'s refreshed and has changed', function() {
+      FS.writeFileSync(tokenFile, 'first');
+
+      const token = new ConsulClient.Token({tokenFile});
+
+      return refresh(token).then(() => {
+        expect(token.value).to.equal('first');
+
+        FS.writeFileSync(tokenFile, 'second');
+        FS.utimesSync(tokenFile, new Date(), new Date(Date.now() + 60000));
+
+        expect(token.value).to.equal('first');
+
+        return refresh(token);
+      }).then(() => {
+        expect(token.value).to.equal('second');
+      });
+    });
+
+    it('falls back to a configured token if the token file can\'t be read', function() {
+      const token = new ConsulClient.Token({token: 'configured', tokenFile});
+
+      return refresh(token).then(() => {
+        expect(token.value).to.equal('configured');
+      });
+    });
+  });
+
+  describe('options', function() {
+    afterEach(function() {
+      Config.clear('consul:token');
+      Config.clear('consul:tokenFile');
+      Config.clear('consul:ca');
+    });
+
+    it('only reads the paths of local files from configuration', function() {
+      Config.set('consul:ca', pemFile);
+
+      const options = ConsulClient.options({tokenFile: '/etc/passwd', ca: '/etc/shadow', cert: '/a', key: '/b'});
+
+      expect(options.tokenFile).to.equal(undefined);
+      expect(options.ca).to.equal(pemFile);
+      expect(options.cert).to.equal(undefined);
+      expect(options.key).to.equal(undefined);
+    });
+
+    it('sends the configured token to the configured agent', function() {
+      Config.set('consul:token', 'configured');
+
+      expect(ConsulClient.options({}).token).to.equal('configured');
+      expect(ConsulClient.options({token: 'indexed'}).token).to.equal('indexed');
+      expect(ConsulClient.options({port: '8500'}).token).to.equal('configured');
+    });
+
+    it('only sends tokens from parameters to other agents', function() {
+      Config.set('consul:token', 'configured');
+      Config.set('consul:tokenFile', tokenFile);
+      process.env.CONSUL_HTTP_TOKEN = 'environment';
+      FS.writeFileSync(tokenFile, 'from-file');
+
+      const other = ConsulClient.options({host: 'consul.example.com'});
+
+      const configured = new ConsulClient.Token(ConsulClient.options({}));
+
+      expect(new ConsulClient.Token(other).value).to.equal(null);
+      expect(new ConsulClient.Token(ConsulClient.options({port: 8501, token: 'indexed'})).value).to.equal('indexed');
+
+      return refresh(configured).then(() => {
+        expect(configured.value).to.equal('from-file');
+      });
+    });
+  });
+
+  describe('create', function() {
+    it('reads TLS options from PEM files', function() {
+      const client = ConsulClient.create({
+        host: '127.0.0.1',
+        port: 8501,
+        secure: true,
+        ca: pemFile,
+        cert: pemFile,
+        key: pemFile
+      });
+
+      expect(client._opts.secure).to.equal(true);
+      expect(client._opts.ca).to.be.an.instanceof(Buffer);
+      expect(client._opts.cert).to.be.an.instanceof(Buffer);
+      expect(client._opts.key).to.be.an.instanceof(Buffer);
+    });
+
+    it('names PEM files that can\'t be read', function() {
+      expect(() => ConsulClient.create({ca: '/missing.pem'}))
+        .to.throw(Error, /^Unable to read Consul TLS file \/missing\.pem: ENOENT/);
+    });
+
+    it('doesn\'t set TLS options that aren\'t configured', function() {
+      const client = ConsulClient.create(ConsulClient.defaults());
+
+      expect(client._opts.ca).to.equal(undefined);
+      expect(client._opts.cert).to.equal(undefined);
+      expect(client._opts.key).to.equal(undefined);
+    });
+  });
+
+  describe('get', function() {
+    afterEach(function() {
+      nock.cleanAll();
+    });
+
+    it('relies on internals of the installed Consul client', function() {
+      const Utils = require('consul/lib/utils');
+      const client = require('consul')({defaults: {dc: 'us-west-2'}});
+
+      expect(client._get).to.be.a('function');
+      expect(client._defaults).to.eql({dc: 'us-west-2'});
+      expect(Utils.defaults).to.be.a('function');
+      expect(Utils.normalizeKeys).to.be.a('function');
+      expect(Utils.options).to.be.a('function');
+      expect(Utils.body).to.be.a('function');
+    });
+
+    it('makes requests with the client\'s defaults and common options', function(done) {
+      const client = require('consul')({host: '127.0.0.1', port: 8500, defaults: {dc: 'us-west-2'}});
+      const consul = nock('http://127.0.0.1:8500')
+        .get('/v1/health/service/web')
+        .query({near: '_agent', 'node-meta': 'rack:a1', dc: 'us-west-2', stale: '1', token: 'acl-token'})
+        .reply(200, [{Node: {Node: 'web-1'}}]);
+
+      ConsulClient.get(client, {
+        name: 'health.service',
+        path: '/health/service/{service}',
+        params: {service: 'web'},
+        query: {near: '_agent', 'node-meta': ['rack:a1']}
+      }, {stale: true, token: 'acl-token'}, (err, body) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(body).to.eql([{Node: {Node: 'web-1'}}]);
+        expect(consul.isDone()).to.equal(true);
+        done();
+      });
+    });
+
+    it('reports clients that can\'t make the request as an error', function(done) {
+      ConsulClient.get({}, {name: 'health.service'}, {}, (err) => {
+        expect(err).to.be.an.instanceof(Error);
+        expect(err.message).to.equal('The Consul client doesn\'t support health.service requests');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,138 @@
+'use strict';
+
+require('./lib/helpers');
+
+const Stub = require('./lib/stub/consul');
+const ConsulKV = require('../dist/lib/source/consul-kv');
+const Parser = require('../dist/lib/source/consul-kv/parser');
+const Sources = require('../dist/lib/sources');
+
+const expect = require('chai').expect;
+
+describe('Consul KV', function() {
+  it('requires a prefix', function() {
+    expect(() => new ConsulKV('test', {})).to.throw(ReferenceError);
+  });
+
+  it('instantiates a Consul KV Source with defaults', function() {
+    const kv = new ConsulKV('test', {prefix: 'propsd/'});
+
+    expect(kv.client._opts.host).to.equal('127.0.0.1');
+    expect(kv.client._opts.port).to.equal(8500);
+    expect(kv.client._opts.secure).to.equal(false);
+
+    expect(kv.type).to.equal('consul-kv');
+    expect(kv.properties).to.be.empty;
+  });
+
+  it('is registered as a source provider', function() {
+    expect(Sources.providers['consul-kv']).to.equal(ConsulKV);
+  });
+
+  it('sets up nested properties on initialize', function() {
+    const kv = new ConsulKV('test', {prefix: 'propsd/12345/'});
+
+    kv.client = Stub;
+
+    return kv.initialize().then(() => {
+      expect(kv.state).to.equal(ConsulKV.RUNNING);
+      expect(kv.status().index).to.equal('16');
+      expect(kv.status().resource).to.equal('consul-kv://propsd/12345/');
+      expect(kv.properties).to.eql({
+        feature: {
+          enabled: true,
+          ratio: 0.25,
+          name: 'new-dashboard'
+        },
+        limits: {
+          connections: 100,
+          hosts: ['a', 'b']
+        },
+        owner: 'platform'
+      });
+    });
+  });
+
+  it('only reads keys in the folder of a prefix without a trailing slash', function() {
+    const kv = new ConsulKV('test', {prefix: 'propsd/1234'});
+    const folder = new ConsulKV('test', {prefix: 'propsd/12345'});
+
+    kv.client = Stub;
+    folder.client = Stub;
+
+    return Promise.all([kv.initialize(), folder.initialize()]).then(() => {
+      expect(kv.prefix).to.equal('propsd/1234/');
+      expect(kv.state).to.equal(ConsulKV.WAITING);
+      expect(kv.properties).to.be.empty;
+
+      expect(folder.status().resource).to.equal('consul-kv://propsd/12345/');
+      expect(folder.properties.owner).to.equal('platform');
+    });
+  });
+
+  it('transitions to WAITING if the prefix does not exist', function() {
+    const kv = new ConsulKV('test', {prefix: 'propsd/00000/'});
+
+    kv.client = Stub;
+
+    return kv.initialize().then(() => {
+      expect(kv.state).to.equal(ConsulKV.WAITING);
+      expect(kv.properties).to.eql({});
+    });
+  });
+
+  it('does not update if the Consul index has not changed', function(done) {
+    const kv = new ConsulKV('test', {prefix: 'propsd/12345/'});
+
+    kv.client = Stub;
+
+    kv.initialize().then(() => {
+      kv.once('update', () => done(new Error('An update should not have been emitted!')));
+      kv.once('noupdate', () => done());
+
+      kv._fetch((err, data) => kv._update(data));
+    });
+  });
+
+  it('reports TLS files that can\'t be read as an error', function() {
+    Config.set('consul:cert', '/missing.pem');
+    const kv = new ConsulKV('test', {prefix: 'propsd/'});
+
+    Config.clear('consul:cert');
+
+    return kv.initialize().then(() => {
+      expect(kv.state).to.equal(ConsulKV.ERROR);
+      kv.shutdown();
+    });
+  });
+
+  it('handles errors safely', function() {
+    const kv = new ConsulKV('test', {prefix: 'propsd/12345/'});
+
+    kv.client = {
+      kv: {
+        get(options, callback) {
+          callback(new Error('This is a test error!'));
+        }
+      }
+    };
+
+    return kv.initialize().then(() => {
+      expect(kv.state).to.equal(ConsulKV.ERROR);
+      expect(kv.properties).to.eql({});
+    });
+  });
+
+  describe('Parser', function() {
+    it('prefers nested keys over values set on the same path', function() {
+      const parser = new Parser('prefix/');
+
+      parser.update([
+        {Key: 'prefix/a/b', Value: '1'},
+        {Key: 'prefix/a', Value: 'shadowed'}
+      ]);
+
+      expect(parser.properties).to.eql({a: {b: 1}});
+    });
+  });
+});
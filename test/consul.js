@@ -4,6 +4,7 @@ require('./lib/helpers');
 
 const Stub = require('./lib/stub/consul');
 const Consul = require('../dist/lib/source/consul');
+const Parser = require('../dist/lib/source/consul/parser');
 
 const expect = require('chai').expect;
 
@@ -42,32 +43,416 @@ describe('Consul', function() {
         consul: {
           consul: {
             cluster: 'consul',
-            addresses: ['10.0.0.1', '10.0.0.2', '10.0.0.3']
+            addresses: ['10.0.0.1', '10.0.0.2', '10.0.0.3'],
+            instances: [
+              {address: '10.0.0.1', port: null, tags: [], meta: {}, node: 'redis', datacenter: null, status: 'passing'},
+              {address: '10.0.0.2', port: null, tags: [], meta: {}, node: 'postgresql-master', datacenter: null, status: 'passing'},
+              {address: '10.0.0.3', port: null, tags: [], meta: {}, node: 'postgresql-slave', datacenter: null, status: 'passing'}
+            ],
+            tags: {}
           },
           redis: {
             cluster: 'redis',
-            addresses: ['10.0.0.1']
+            addresses: ['10.0.0.1'],
+            instances: [
+              {address: '10.0.0.1', port: 6379, tags: ['cache'], meta: {}, node: 'redis', datacenter: 'us-east-1', status: 'passing'}
+            ],
+            tags: {
+              cache: ['10.0.0.1']
+            }
           },
           postgresql: {
             cluster: 'postgresql',
-            addresses: ['10.0.0.2']
+            addresses: ['10.0.0.2'],
+            instances: [{
+              address: '10.0.0.2',
+              port: 5432,
+              tags: ['master'],
+              meta: {version: '9.6'},
+              node: 'postgresql-master',
+              datacenter: 'us-east-1',
+              status: 'passing'
+            }],
+            tags: {
+              master: ['10.0.0.2']
+            }
           }
         }
       });
+      consul.shutdown();
     });
   });
 
-  it('handles errors safely', function() {
+  it('prefers the Node field of real Consul responses for node names', function() {
+    const parser = new Parser();
+
+    parser.update({
+      web: [{
+        Node: {Node: 'web-1', Address: '10.0.0.5', Datacenter: 'dc1'},
+        Service: {Service: 'web', Port: 80, Tags: ['primary', 'http']}
+      }, {
+        Node: {Node: 'web-2', Address: '10.0.0.6', Datacenter: 'dc1'},
+        Service: {Service: 'web', Address: '10.1.0.6', Port: 8080, Tags: ['http']}
+      }]
+    });
+
+    expect(parser.properties.consul.web.addresses).to.eql(['10.0.0.5', '10.1.0.6']);
+    expect(parser.properties.consul.web.instances.map((i) => `${i.node}:${i.port}`)).to.eql(['web-1:80', 'web-2:8080']);
+    expect(parser.properties.consul.web.tags).to.eql({
+      primary: ['10.0.0.5'],
+      http: ['10.0.0.5', '10.1.0.6']
+    });
+  });
+
+  it('reports the worst check status of each instance', function() {
+    const parser = new Parser();
+
+    parser.update({
+      web: [{
+        Node: {Node: 'web-1', Address: '10.0.0.5'},
+        Service: {Service: 'web'},
+        Checks: [{Status: 'passing'}, {Status: 'warning'}]
+      }, {
+        Node: {Node: 'web-2', Address: '10.0.0.6'},
+        Service: {Service: 'web'},
+        Checks: [{Status: 'critical'}, {Status: 'warning'}]
+      }, {
+        Node: {Node: 'web-3', Address: '10.0.0.7'},
+        Service: {Service: 'web'},
+        Checks: [{Status: 'failing'}]
+      }]
+    });
+
+    expect(parser.properties.consul.web.instances.map((i) => i.status)).to.eql(['warning', 'critical', 'critical']);
+  });
+
+  describe('filters', function() {
+    let source = null;
+
+    const initialize = (options) => {
+      source = new Consul('test', Object.assign({interval: 60000}, options));
+
+      source.client = Stub;
+      Stub.queries = [];
+
+      return source.initialize();
+    };
+
+    afterEach(function() {
+      source.shutdown();
+    });
+
+    it('restricts services by name glob', function() {
+      return initialize({services: 'post*'}).then((consul) => {
+        expect(consul.properties.consul).to.have.keys('postgresql');
+      });
+    });
+
+    it('restricts services by name regular expression', function() {
+      return initialize({services: ['/^(redis|consul)$/']}).then((consul) => {
+        expect(consul.properties.consul).to.have.keys('redis', 'consul');
+      });
+    });
+
+    it('restricts services and instances by required tags', function() {
+      return initialize({tags: ['master']}).then((consul) => {
+        expect(consul.properties.consul).to.have.keys('postgresql');
+        expect(consul.properties.consul.postgresql.addresses).to.eql(['10.0.0.2']);
+        expect(Stub.queries[0].query.tag).to.equal('master');
+      });
+    });
+
+    it('restricts instances by node metadata', function() {
+      return initialize({nodeMeta: {rack: 'a1'}}).then((consul) => {
+        expect(consul.properties.consul.consul.addresses).to.eql(['10.0.0.1']);
+        expect(consul.properties.consul.redis.addresses).to.eql(['10.0.0.1']);
+        expect(consul.properties.consul.postgresql.addresses).to.eql([]);
+        expect(Stub.queries[0].query['node-meta']).to.eql(['rack:a1']);
+      });
+    });
+
+    it('passes datacenter and near-node sorting to Consul', function() {
+      return initialize({datacenter: 'us-west-2', near: '_agent'}).then((consul) => {
+        expect(consul.status().datacenter).to.equal('us-west-2');
+        Stub.queries.forEach((query) => {
+          expect(query.query.dc).to.equal('us-west-2');
+          expect(query.query.near).to.equal('_agent');
+        });
+      });
+    });
+
+    it('optionally includes instances that aren\'t passing', function() {
+      return initialize({services: 'postgresql', passing: false}).then((consul) => {
+        expect(Stub.queries[0].query).to.not.have.property('passing');
+        expect(consul.properties.consul.postgresql.addresses).to.eql(['10.0.0.2', '10.0.0.3']);
+        expect(consul.properties.consul.postgresql.instances[1].status).to.equal('critical');
+      });
+    });
+
+    it('applies the client\'s defaults and a timeout to service requests', function() {
+      const consul = new Consul('test', {interval: 60000});
+
+      consul.client = Object.assign({}, Stub, {_defaults: {dc: 'eu-west-1'}});
+      Stub.queries = [];
+
+      return consul.initialize().then(() => {
+        consul.shutdown();
+        expect(Stub.queries).to.not.be.empty;
+        Stub.queries.forEach((query) => {
+          expect(query.query.dc).to.equal('eu-west-1');
+          expect(query.timeout).to.equal(Consul.REQUEST_TIMEOUT);
+        });
+      });
+    });
+
+    it('sends an ACL token with every request', function() {
+      Stub.requests = [];
+
+      return initialize({token: 'acl-token'}).then(() => {
+        expect(Stub.requests[0].token).to.equal('acl-token');
+        Stub.queries.forEach((query) => {
+          expect(query.query.token).to.equal('acl-token');
+        });
+      });
+    });
+
+    it('checks the token file once for all of a fetch\'s requests', function() {
+      const consul = new Consul('test', {interval: 60000});
+      let refreshes = 0;
+
+      consul.client = Stub;
+      consul.token.refresh = (callback) => {
+        refreshes += 1;
+        consul.token._value = `from-file-${refreshes}`;
+        callback();
+      };
+      Stub.requests = [];
+      Stub.queries = [];
+
+      return consul.initialize().then(() => {
+        consul.shutdown();
+        expect(refreshes).to.equal(1);
+        expect(Stub.requests[0].token).to.equal('from-file-1');
+        expect(Stub.queries).to.not.be.empty;
+        Stub.queries.forEach((query) => {
+          expect(query.query.token).to.equal('from-file-1');
+        });
+      });
+    });
+  });
+
+  it('defaults to blocking queries with a gap between wake-ups', function() {
+    const consul = new Consul('test');
+
+    expect(consul.blocking).to.equal(true);
+    expect(consul.wait).to.equal(Consul.DEFAULT_WAIT);
+    expect(consul.interval).to.equal(Consul.BLOCKING_INTERVAL);
+    expect(consul.interval).to.be.at.least(15000);
+    expect(new Consul('test', {interval: 5000}).interval).to.equal(5000);
+    expect(new Consul('test', {blocking: false}).interval).to.equal(Consul.DEFAULT_INTERVAL);
+  });
+
+  it('backs off from the blocking interval while requests fail', function() {
     const consul = new Consul('test');
+    let fail = true;
+
+    consul.client = Object.assign({}, Stub, {
+      health: Object.assign({}, Stub.health, {
+        state(options, callback) {
+          if (fail) {
+            return callback(new Error('connect ECONNREFUSED'));
+          }
+
+          Stub.health.state(options, callback);
+        }
+      })
+    });
+
+    const fetch = () => new Promise((resolve) => consul._fetch(resolve));
+
+    return fetch().then(() => {
+      expect(consul.interval).to.equal(Consul.BLOCKING_INTERVAL * 2);
+
+      return fetch();
+    }).then(() => {
+      expect(consul.interval).to.equal(Consul.BLOCKING_INTERVAL * 4);
+
+      const failures = [];
+
+      for (let i = 0; i < 10; i++) {
+        failures.push(fetch());
+      }
+
+      return Promise.all(failures);
+    }).then(() => {
+      expect(consul.interval).to.equal(Consul.DEFAULT_INTERVAL);
+      fail = false;
+
+      return fetch();
+    }).then(() => {
+      expect(consul.interval).to.equal(Consul.BLOCKING_INTERVAL);
+    });
+  });
+
+  it('stores the X-Consul-Index and uses it for blocking queries', function() {
+    const consul = new Consul('test', {wait: 1000, interval: 60000});
 
     consul.client = Stub;
-    consul.client.health.service = (options, callback) => {
-      callback(new Error('This is a test error!'), null);
-    };
+    Stub.requests = [];
+
+    return consul.initialize().then(() => {
+      expect(consul.status().index).to.equal(Stub.index);
+      expect(Stub.requests[0]).to.not.have.property('index');
+
+      return new Promise((resolve) => {
+        consul.once('noupdate', resolve);
+        consul._fetch((err, data) => consul._update(data));
+      });
+    }).then(() => {
+      expect(Stub.requests[1].index).to.equal(Stub.index);
+      expect(Stub.requests[1].wait).to.equal('1000ms');
+      consul.shutdown();
+    });
+  });
+
+  it('only lists services when an X-Consul-Index changes', function() {
+    const consul = new Consul('test', {interval: 60000});
+    const list = Stub.catalog.service.list;
+    let calls = 0;
+
+    // Count requests for the list of services, but not blocking queries for changes to it
+    consul.client = Object.assign({}, Stub, {
+      catalog: {
+        service: {
+          list(options, callback) {
+            if (!options.hasOwnProperty('index')) {
+              calls += 1;
+            }
+            list(options, callback);
+          }
+        }
+      }
+    });
+
+    return consul.initialize().then(() => {
+      expect(calls).to.equal(1);
+
+      return new Promise((resolve) => {
+        consul.once('noupdate', resolve);
+        consul._fetch((err, data) => consul._update(data));
+      });
+    }).then(() => {
+      expect(calls).to.equal(1);
+      Stub.index = '101';
+
+      return new Promise((resolve) => {
+        consul.once('update', resolve);
+        consul._fetch((err, data) => consul._update(data));
+      });
+    }).then(() => {
+      expect(calls).to.equal(2);
+      expect(consul.status().index).to.equal('101');
+      Stub.index = '100';
+      consul.shutdown();
+    });
+  });
+
+  it('blocks on the catalog to see changes to services without checks', function() {
+    const consul = new Consul('test', {wait: 1000, interval: 60000});
+    const service = Stub.health.service;
+    let added = false;
+
+    // A service without checks doesn't change the health index when it's registered
+    consul.client = Object.assign({}, Stub, {
+      health: Object.assign({}, Stub.health, {
+        service(options, callback) {
+          if (options.service === 'consul' && added) {
+            return callback(null, [{Node: {Node: 'web-1', Address: '10.0.0.9'}, Service: {Service: 'consul'}, Checks: []}]);
+          }
+
+          service(options, callback);
+        }
+      })
+    });
+    Stub.listings = [];
+
+    return consul.initialize().then(() => {
+      expect(Stub.listings[0]).to.not.have.property('index');
+      added = true;
+      Stub.catalogIndex = '51';
+
+      return new Promise((resolve) => {
+        consul.once('update', resolve);
+        consul._fetch((err, data) => consul._update(data));
+      });
+    }).then(() => {
+      expect(Stub.listings[1].index).to.equal('50');
+      expect(Stub.listings[1].wait).to.equal('1000ms');
+      expect(consul.status().index).to.equal(Stub.index);
+      expect(consul.properties.consul.consul.addresses).to.eql(['10.0.0.9']);
+
+      return new Promise((resolve) => {
+        consul.once('noupdate', resolve);
+        consul._fetch((err, data) => consul._update(data));
+      });
+    }).then(() => {
+      expect(Stub.listings[2].index).to.equal('51');
+      Stub.catalogIndex = '50';
+      consul.shutdown();
+    });
+  });
+
+  it('does not send an index when blocking is disabled', function() {
+    const consul = new Consul('test', {blocking: false});
+
+    consul.client = Stub;
+    Stub.requests = [];
+
+    return consul.initialize().then(() => new Promise((resolve) => {
+      consul.once('noupdate', resolve);
+      consul._fetch((err, data) => consul._update(data));
+    })).then(() => {
+      expect(Stub.requests[1]).to.not.have.property('index');
+      consul.shutdown();
+    });
+  });
+
+  it('reports TLS files that can\'t be read as an error', function() {
+    let consul = null;
+
+    Config.set('consul:ca', '/missing.pem');
+    expect(() => {
+      consul = new Consul('test');
+    }).to.not.throw();
+    Config.clear('consul:ca');
+
+    const errors = [];
+
+    consul.on('error', (err) => errors.push(err));
+
+    return consul.initialize().then(() => {
+      expect(consul.state).to.equal(Consul.ERROR);
+      expect(errors[0].message).to.match(/^Unable to read Consul TLS file \/missing\.pem/);
+      consul.shutdown();
+    });
+  });
+
+  it('handles errors safely', function() {
+    const consul = new Consul('test');
+
+    // Don't mutate the shared stub
+    consul.client = Object.assign({}, Stub, {
+      health: Object.assign({}, Stub.health, {
+        service(options, callback) {
+          callback(new Error('This is a test error!'), null);
+        }
+      })
+    });
 
     return consul.initialize().then(() => {
       expect(consul.state).to.equal(Consul.ERROR);
       expect(consul.properties).to.eql({});
+      consul.shutdown();
     });
   });
 });
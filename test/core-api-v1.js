@@ -27,7 +27,10 @@ const expectedStatusResponse = {
     state: 'CREATED',
     resource: 's3://test-bucket/index.json',
     name: 'index.json',
-    type: 's3'
+    type: 's3',
+    required: false,
+    priority: 0,
+    errors: []
   },
   indices: [{
     ok: true,
@@ -38,7 +41,10 @@ const expectedStatusResponse = {
     state: 'CREATED',
     resource: 's3://test-bucket/index.json',
     name: 'index.json',
-    type: 's3'
+    type: 's3',
+    required: false,
+    priority: 0,
+    errors: []
   }],
   sources: [{
     name: 'foo-bar-baz.json',
@@ -49,7 +55,8 @@ const expectedStatusResponse = {
     state: 'CREATED',
     resource: 's3://test-bucket/foo-bar-baz.json',
     ok: true,
-    interval: 60000
+    interval: 60000,
+    required: false
   }, {
     name: 'foo-quiz-buzz.json',
     type: 's3',
@@ -59,8 +66,10 @@ const expectedStatusResponse = {
     state: 'CREATED',
     resource: 's3://test-bucket/foo-quiz-buzz.json',
     ok: true,
-    interval: 60000
-  }]
+    interval: 60000,
+    required: false
+  }],
+  unresolved: []
 };
 
 const properties = new Properties();
@@ -153,6 +162,20 @@ describe('Core API v1', () => {
       });
   });
 
+  it('reports property values that couldn\'t be interpolated in the /status endpoint', (done) => {
+    properties.unresolved = [{property: 'db:url', reason: 'Undefined parameter db:port'}];
+
+    request(server)
+      .get(endpoints.status)
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        properties.unresolved = [];
+
+        res.body.unresolved.should.eql([{property: 'db:url', reason: 'Undefined parameter db:port'}]);
+        done(err);
+      });
+  });
+
   it('responds correctly to a request to the /health endpoint', (done) => {
     request(server)
       .get(endpoints.health)
@@ -0,0 +1,79 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const request = require('supertest');
+
+const Errors = require('../dist/lib/control/v1/errors');
+
+const HTTP_OK = 200;
+const HTTP_NOT_FOUND = 404;
+const HTTP_INTERNAL_SERVER_ERROR = 500;
+
+describe('Errors API v1', function() {
+  const app = require('express')();
+
+  app.get('/v1/ok', (req, res) => res.status(HTTP_OK).json({}));
+  app.get('/v1/broken', (req, res, next) => next(new Error('Something broke')));
+  app.get('/v1/missing', (req, res, next) => next(Errors.notFound(['db', 'host'], 1)));
+  Errors.attach(app);
+
+  it('serializes errors with their status and details', function() {
+    expect(Errors.body(Errors.badRequest('wait', 'Invalid wait duration forever'))).to.deep.equal({
+      status: 400,
+      error: 'Bad Request',
+      message: 'Invalid wait duration forever',
+      parameter: 'wait'
+    });
+  });
+
+  it('names the missing key of a property', function() {
+    expect(Errors.body(Errors.notFound(['db'], 0))).to.include({message: 'Property db not found', missing: 'db'});
+    expect(Errors.body(Errors.notFound(['db', 'host', 'name'], 1))).to.include({
+      message: 'Key host does not exist in property db',
+      property: 'db:host:name',
+      missing: 'host'
+    });
+  });
+
+  it('doesn\'t change responses from other routes', function(done) {
+    request(app)
+      .get('/v1/ok')
+      .expect(HTTP_OK, {}, done);
+  });
+
+  it('returns 404 for unknown routes', function(done) {
+    request(app)
+      .get('/v1/unknown')
+      .expect(HTTP_NOT_FOUND, {
+        status: HTTP_NOT_FOUND,
+        error: 'Not Found',
+        message: 'No route for GET /v1/unknown'
+      }, done);
+  });
+
+  it('returns errors passed to the next handler', function(done) {
+    request(app)
+      .get('/v1/missing')
+      .expect(HTTP_NOT_FOUND)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.missing).to.equal('host');
+        done();
+      });
+  });
+
+  it('returns 500 for unexpected errors without exposing them', function(done) {
+    request(app)
+      .get('/v1/broken')
+      .expect(HTTP_INTERNAL_SERVER_ERROR, {
+        status: HTTP_INTERNAL_SERVER_ERROR,
+        error: 'Internal Server Error',
+        message: 'Unable to handle the request'
+      }, done);
+  });
+});
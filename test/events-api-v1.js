@@ -0,0 +1,106 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const HTTP = require('http');
+
+const Properties = require('../dist/lib/properties');
+const Source = require('./lib/stub/source');
+
+const testServerPort = 3000;
+const HTTP_OK = 200;
+
+Properties.BUILD_HOLD_DOWN = 100;
+
+describe('Events API v1', function() {
+  const properties = new Properties();
+  const stub = new Source.Stub('global');
+  const index = new Source.Stub('index');
+  let server = null;
+
+  before(function() {
+    const app = require('express')();
+
+    stub.properties = {db: {host: 'a'}};
+    require('../dist/lib/control/v1/events').attach(app, properties, {indices: [index]});
+    server = app.listen(testServerPort);
+
+    return properties.initialize()
+      .then(() => properties.view([stub]).activate());
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  /**
+   * Connect to the event stream and collect events until `count` have been received
+   *
+   * @param {Number}   count
+   * @param {Function} callback  Receives the response and the parsed events
+   * @return {http.ClientRequest}
+   */
+  const listen = (count, callback) => HTTP.get(`http://127.0.0.1:${testServerPort}/v1/events`, (res) => {
+    const events = [];
+    let buffer = '';
+
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => {
+      buffer += chunk;
+
+      const messages = buffer.split('\n\n');
+
+      buffer = messages.pop();
+      messages.forEach((message) => {
+        const fields = {};
+
+        message.split('\n').forEach((line) => {
+          const separator = line.indexOf(': ');
+
+          fields[line.slice(0, separator)] = line.slice(separator + 2);
+        });
+
+        events.push({event: fields.event, data: JSON.parse(fields.data)});
+      });
+
+      if (events.length >= count) {
+        res.destroy();
+        callback(res, events);
+      }
+    });
+  });
+
+  it('streams source updates and builds', function(done) {
+    const req = listen(2, (res, events) => {
+      expect(res.statusCode).to.equal(HTTP_OK);
+      expect(res.headers['content-type']).to.match(/^text\/event-stream/);
+
+      expect(events[0].event).to.equal('update');
+      expect(events[0].data.source).to.include({name: 'global', type: 'stub', state: 'RUNNING'});
+
+      expect(events[1]).to.deep.equal({
+        event: 'build',
+        data: {revision: 2, added: ['debug'], removed: [], changed: ['db:host']}
+      });
+      done();
+    });
+
+    req.on('response', () => stub.update({db: {host: 'b'}, debug: true}));
+  });
+
+  it('streams errors and shutdowns of sources', function(done) {
+    const req = listen(2, (res, events) => {
+      expect(events.map((event) => event.event)).to.deep.equal(['source-error', 'shutdown']);
+      expect(events[0].data.error).to.equal('this is a stub error');
+      expect(events[0].data.source).to.include({name: 'index', state: 'ERROR'});
+      expect(events[1].data.source).to.include({name: 'index', state: 'SHUTDOWN'});
+      done();
+    });
+
+    req.on('response', () => {
+      index.error();
+      index.shutdown();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const request = require('supertest');
+
+const Properties = require('../dist/lib/properties');
+const Source = require('./lib/stub/source');
+
+const testServerPort = 3000;
+const HTTP_OK = 200;
+const HTTP_NOT_FOUND = 404;
+
+Properties.BUILD_HOLD_DOWN = 100;
+
+describe('Explain API v1', function() {
+  const properties = new Properties();
+  const global = new Source.Stub('global');
+  const regional = new Source.Stub('regional');
+  let server = null;
+
+  before(function() {
+    global.properties = {
+      db: {host: 'db.example.com', port: 3306},
+      debug: null,
+      hosts: ['a'],
+      legacy: 'yes'
+    };
+    regional.properties = {
+      db: {host: 'db.us-east-1.example.com'},
+      region: 'us-east-1',
+      hosts: {$append: ['b']},
+      legacy: {$delete: true}
+    };
+
+    properties.static({region: 'us-east-1'}, 'instance');
+    properties.static({region: 'override'});
+
+    const app = require('express')();
+
+    require('../dist/lib/control/v1/explain').attach(app, properties);
+    server = app.listen(testServerPort);
+
+    return properties.initialize()
+      .then(() => properties.view([global, regional]).activate());
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('explains which source provides a value, and which it shadows', function(done) {
+    request(server)
+      .get('/v1/explain/db/host')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.property).to.equal('db:host');
+        expect(res.body.value).to.equal('db.us-east-1.example.com');
+        expect(res.body.source).to.include({
+          name: 'regional',
+          type: 'stub',
+          resource: null,
+          value: 'db.us-east-1.example.com'
+        });
+        expect(res.body.source.updated).to.be.a('string');
+        expect(res.body.shadowed).to.have.length(1);
+        expect(res.body.shadowed[0]).to.include({name: 'global', value: 'db.example.com'});
+        done();
+      });
+  });
+
+  it('includes persistent layers, which are merged last', function(done) {
+    request(server)
+      .get('/v1/explain/region')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.value).to.equal('override');
+        expect(res.body.source).to.deep.equal({
+          name: 'properties',
+          type: 'static',
+          resource: null,
+          updated: null,
+          value: 'override'
+        });
+        expect(res.body.shadowed.map((contributor) => contributor.name)).to.deep.equal(['regional']);
+        done();
+      });
+  });
+
+  it('finds properties in namespaced layers', function(done) {
+    request(server)
+      .get('/v1/explain/instance/region')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.source).to.include({name: 'instance', type: 'static', value: 'us-east-1'});
+        expect(res.body.shadowed).to.deep.equal([]);
+        done();
+      });
+  });
+
+  it('returns 404 for properties that no layer sets', function(done) {
+    request(server)
+      .get('/v1/explain/db/user')
+      .expect(HTTP_NOT_FOUND)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body).to.deep.equal({
+          status: HTTP_NOT_FOUND,
+          error: 'Not Found',
+          message: 'Key user does not exist in property db',
+          property: 'db:user',
+          missing: 'user'
+        });
+
+        request(server)
+          .get('/v1/explain/debug')
+          .expect(HTTP_NOT_FOUND)
+          .end(done);
+      });
+  });
+
+  it('reports the array that results from appending', function(done) {
+    request(server)
+      .get('/v1/explain/hosts')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.value).to.deep.equal(['a', 'b']);
+        expect(res.body.source).to.include({name: 'regional'});
+        expect(res.body.source.value).to.deep.equal(['a', 'b']);
+        expect(res.body.shadowed).to.have.length(1);
+        expect(res.body.shadowed[0]).to.include({name: 'global'});
+        expect(res.body.shadowed[0].value).to.deep.equal(['a']);
+        done();
+      });
+  });
+
+  it('returns 404 for deleted properties and directive keys', function(done) {
+    request(server)
+      .get('/v1/explain/legacy')
+      .expect(HTTP_NOT_FOUND)
+      .end((err) => {
+        if (err) {
+          return done(err);
+        }
+
+        request(server)
+          .get('/v1/explain/hosts/$append')
+          .expect(HTTP_NOT_FOUND)
+          .end(done);
+      });
+  });
+});
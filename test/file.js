@@ -0,0 +1,165 @@
+'use strict';
+
+require('./lib/helpers');
+
+const FS = require('fs');
+const OS = require('os');
+const Path = require('path');
+
+const should = require('should');
+const sinon = require('sinon');
+
+require('should-sinon');
+
+const DEFAULT_INTERVAL = 60000;
+
+const Source = require('../dist/lib/source/common');
+const File = require('../dist/lib/source/file');
+const Sources = require('../dist/lib/sources');
+const Schema = require('../dist/lib/sources/schema');
+
+describe('File source plugin', function() {
+  this.timeout(2000);
+
+  const path = Path.join(OS.tmpdir(), `propsd-file-source-${process.pid}.json`);
+  const document = {properties: {a: 1, b: 'foo', c: {d: 0}}, sources: [{name: 'child', type: 'file'}]};
+
+  beforeEach(() => {
+    FS.writeFileSync(path, JSON.stringify(document));
+    this.file = new File('foo.json', {path, interval: DEFAULT_INTERVAL});
+  });
+
+  afterEach(() => {
+    this.file.shutdown();
+
+    try {
+      FS.unlinkSync(path);
+    } catch (err) {
+      // Some tests remove the file themselves
+    }
+  });
+
+  it('throws an error if instantiated without a path', () => {
+    should.throws(() => {
+      new File('test', {});
+    }, ReferenceError);
+  });
+
+  it('is registered as a source provider', () => {
+    Sources.providers.file.should.equal(File);
+  });
+
+  it('identifies as a \'file\' source plugin', () => {
+    this.file.type.should.equal('file');
+  });
+
+  it('resolves relative paths against the root directory', () => {
+    const file = new File('relative', {path: 'foo/bar.json'});
+
+    file.path.should.equal(Path.resolve(OS.tmpdir(), 'foo/bar.json'));
+  });
+
+  it('throws an error if the path is outside of the root directory', () => {
+    should.throws(() => {
+      new File('escape', {path: '../propsd-escape.json'});
+    }, RangeError);
+    should.throws(() => {
+      new File('escape', {path: Path.join(OS.tmpdir(), '..', 'etc', 'passwd')});
+    }, RangeError);
+  });
+
+  it('rejects paths outside of the root directory in index entries', () => {
+    Schema.validate([{name: 'escape', type: 'file', parameters: {path: '../../etc/shadow'}}], Sources.providers)
+      .should.deepEqual(['sources[0] (escape): parameter `path` must be inside of the `file:root` directory']);
+    Schema.validate([{name: 'inside', type: 'file', parameters: {path: 'a/../b.json'}}], Sources.providers)
+      .should.deepEqual([]);
+  });
+
+  it('parses a document from disk', () => this.file.initialize().then(() => {
+    this.file.state.should.equal(Source.RUNNING);
+    this.file.properties.should.deepEqual(document.properties);
+    this.file.sources.should.deepEqual(document.sources);
+  }));
+
+  it('returns a properly formed status object', () => this.file.initialize().then(() => {
+    const status = this.file.status();
+
+    status.ok.should.equal(true);
+    status.updated.should.be.instanceOf(Date);
+    status.interval.should.equal(DEFAULT_INTERVAL);
+    status.state.should.equal(Source.RUNNING);
+    status.resource.should.equal(`file://${path}`);
+    status.hash.should.be.a.String();
+  }));
+
+  it('transitions to WAITING if the file does not exist', () => {
+    FS.unlinkSync(path);
+
+    return this.file.initialize().then(() => {
+      this.file.state.should.equal(Source.WAITING);
+      this.file.properties.should.be.empty();
+      should(this.file.status().hash).be.null();
+    });
+  });
+
+  it('doesn\'t emit an update if the file has not changed', (done) => {
+    const updateSpy = sinon.spy();
+
+    this.file.initialize().then(() => {
+      this.file.on('update', updateSpy);
+      this.file.once('noupdate', () => {
+        updateSpy.should.not.be.called();
+        done();
+      });
+
+      this.file._fetch((err, data) => this.file._update(data));
+    });
+  });
+
+  it('doesn\'t emit an update if the file is touched without changing its content', (done) => {
+    const updateSpy = sinon.spy();
+
+    this.file.initialize().then(() => {
+      const future = new Date(Date.now() + DEFAULT_INTERVAL);
+
+      FS.utimesSync(path, future, future);
+
+      this.file.on('update', updateSpy);
+      this.file.once('noupdate', () => {
+        updateSpy.should.not.be.called();
+        done();
+      });
+
+      this.file._fetch((err, data) => this.file._update(data));
+    });
+  });
+
+  it('emits an update when the file\'s content changes', (done) => {
+    this.file.initialize().then(() => {
+      const future = new Date(Date.now() + DEFAULT_INTERVAL);
+
+      FS.writeFileSync(path, JSON.stringify({properties: {a: 2}}));
+      FS.utimesSync(path, future, future);
+
+      this.file.once('update', () => {
+        this.file.properties.should.deepEqual({a: 2});
+        done();
+      });
+
+      this.file._fetch((err, data) => this.file._update(data));
+    });
+  });
+
+  it('exposes an error if the file cannot be parsed', (done) => {
+    FS.writeFileSync(path, '{"db_password": hunter2}');
+
+    this.file.on('error', (err) => {
+      this.file.state.should.equal(Source.ERROR);
+      this.file.ok.should.be.false();
+      err.message.should.not.containEql('hunter2');
+      done();
+    });
+
+    this.file.initialize();
+  });
+});
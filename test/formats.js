@@ -0,0 +1,117 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+
+const Formats = require('../dist/lib/source/s3/formats');
+const S3Parser = require('../dist/lib/source/s3/parser');
+
+describe('Document formats', function() {
+  const yaml = [
+    '# Comments are allowed',
+    'properties:',
+    '  a: 1',
+    '  c:',
+    '    d: 0',
+    'sources:',
+    '  - name: first',
+    '    type: s3',
+    '---',
+    'properties:',
+    '  b: foo',
+    '  c:',
+    '    e: 1',
+    'sources:',
+    '  - name: second',
+    '    type: s3',
+    ''
+  ].join('\n');
+
+  const toml = [
+    '# Comments are allowed',
+    '[properties]',
+    'a = 1',
+    'b = "foo"',
+    '',
+    '[properties.c]',
+    'd = 0',
+    '',
+    '[[sources]]',
+    'name = "first"',
+    'type = "s3"',
+    ''
+  ].join('\n');
+
+  it('picks a format from a file extension', function() {
+    expect(Formats.fromExtension('index.json')).to.equal('json');
+    expect(Formats.fromExtension('path/to/index.YAML')).to.equal('yaml');
+    expect(Formats.fromExtension('index.yml')).to.equal('yaml');
+    expect(Formats.fromExtension('index.toml')).to.equal('toml');
+    expect(Formats.fromExtension('index')).to.equal(null);
+  });
+
+  it('picks a format from a Content-Type', function() {
+    expect(Formats.fromContentType('application/json; charset=utf-8')).to.equal('json');
+    expect(Formats.fromContentType('application/x-yaml')).to.equal('yaml');
+    expect(Formats.fromContentType('application/toml')).to.equal('toml');
+    expect(Formats.fromContentType('application/octet-stream')).to.equal(null);
+  });
+
+  it('prefers an explicit format, then the Content-Type, then the extension', function() {
+    expect(Formats.resolve({format: 'toml', contentType: 'text/yaml', path: 'index.json'})).to.equal('toml');
+    expect(Formats.resolve({contentType: 'text/yaml', path: 'index.json'})).to.equal('yaml');
+    expect(Formats.resolve({contentType: 'binary/octet-stream', path: 'index.toml'})).to.equal('toml');
+    expect(Formats.resolve({})).to.equal('json');
+  });
+
+  it('doesn\'t include the document in parse errors', function() {
+    expect(() => Formats.parse('a = 1\ndb_password = hunter2', 'toml'))
+      .to.throw(SyntaxError, /^Invalid toml document at line 2, column 15$/);
+    expect(() => Formats.parse('a: 1\n b: [hunter2', 'yaml'))
+      .to.throw(SyntaxError, /^Invalid yaml document at line 2, column 3: bad indentation/);
+    expect(() => Formats.parse('{"a": hunter2}', 'json'))
+      .to.throw(SyntaxError, /^Invalid json document at position 6$/);
+  });
+
+  it('throws an error for unsupported formats', function() {
+    expect(() => Formats.parse('', 'xml')).to.throw(TypeError);
+    expect(() => new S3Parser({format: 'xml'})).to.throw(TypeError);
+  });
+
+  it('parses JSON documents by default', function() {
+    const parser = new S3Parser();
+
+    parser.update(new Buffer(JSON.stringify({properties: {a: 1}, sources: [{name: 'first'}]})));
+
+    expect(parser.properties).to.eql({a: 1});
+    expect(parser.sources).to.eql([{name: 'first'}]);
+  });
+
+  it('parses TOML documents', function() {
+    const parser = new S3Parser({path: 'index.toml'});
+
+    parser.update(new Buffer(toml));
+
+    expect(parser.properties).to.eql({a: 1, b: 'foo', c: {d: 0}});
+    expect(parser.sources).to.eql([{name: 'first', type: 's3'}]);
+  });
+
+  it('layers multi-document YAML in order', function() {
+    const parser = new S3Parser({format: 'yaml'});
+
+    parser.update(new Buffer(yaml));
+
+    expect(parser.properties).to.eql({a: 1, b: 'foo', c: {d: 0, e: 1}});
+    expect(parser.sources.map((source) => source.name)).to.eql(['first', 'second']);
+  });
+
+  it('uses a Content-Type set by the source', function() {
+    const parser = new S3Parser({path: 'index'});
+
+    parser.contentType = 'text/yaml';
+    parser.update(new Buffer('properties:\n  a: 1\n'));
+
+    expect(parser.properties).to.eql({a: 1});
+  });
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const request = require('supertest');
+
+const Properties = require('../dist/lib/properties');
+const Source = require('./lib/stub/source');
+
+const testServerPort = 3000;
+const HTTP_OK = 200;
+const HTTP_NOT_FOUND = 404;
+const HTTP_SERVICE_UNAVAILABLE = 503;
+
+Properties.BUILD_HOLD_DOWN = 100;
+
+describe('History API v1', function() {
+  const properties = new Properties();
+  const stub = new Source.Stub('global');
+  let server = null;
+
+  before(function() {
+    const app = require('express')();
+
+    require('../dist/lib/control/v1/history').attach(app, properties);
+    server = app.listen(testServerPort);
+
+    stub.properties = {db: {host: 'a', password: 'hunter2'}};
+
+    return properties.initialize()
+      .then(() => properties.view([stub]).activate())
+      .then(() => {
+        const built = new Promise((resolve) => properties.once('build', resolve));
+
+        stub.update({db: {host: 'b', password: 'hunter3'}, debug: true});
+
+        return built;
+      });
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  it('lists revisions, newest first', function(done) {
+    request(server)
+      .get('/v1/history')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.revision).to.equal(2);
+        expect(res.body.revisions.map((revision) => revision.revision)).to.deep.equal([2, 1]);
+        expect(res.body.revisions[0]).to.include({added: 1, removed: 0, changed: 2});
+        expect(res.body.revisions[0].timestamp).to.be.a('string');
+        done();
+      });
+  });
+
+  it('returns the diff of a revision', function(done) {
+    request(server)
+      .get('/v1/history/2/diff')
+      .expect(HTTP_OK)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body.revision).to.equal(2);
+        expect(res.body.added).to.deep.equal([{property: 'debug', value: true}]);
+        expect(res.body.removed).to.deep.equal([]);
+        expect(res.body.changed).to.deep.equal([
+          {property: 'db:host', from: 'a', to: 'b'},
+          {property: 'db:password', from: '[REDACTED]', to: '[REDACTED]'}
+        ]);
+        done();
+      });
+  });
+
+  it('returns 404 for unknown revisions', function(done) {
+    request(server)
+      .get('/v1/history/3/diff')
+      .expect(HTTP_NOT_FOUND)
+      .end((err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.body).to.deep.equal({
+          status: HTTP_NOT_FOUND,
+          error: 'Not Found',
+          message: 'Revision 3 not found',
+          missing: '3'
+        });
+
+        request(server)
+          .get('/v1/history/latest/diff')
+          .expect(HTTP_NOT_FOUND)
+          .end(done);
+      });
+  });
+
+  it('returns 503 until properties have been built', function(done) {
+    const app = require('express')();
+
+    require('../dist/lib/control/v1/history').attach(app, new Properties());
+
+    request(app)
+      .get('/v1/history')
+      .expect(HTTP_SERVICE_UNAVAILABLE, {
+        status: HTTP_SERVICE_UNAVAILABLE,
+        error: 'Service Unavailable',
+        message: 'Properties have not been built yet'
+      }, (err) => {
+        if (err) {
+          return done(err);
+        }
+
+        request(app)
+          .get('/v1/history/1/diff')
+          .expect(HTTP_SERVICE_UNAVAILABLE, done);
+      });
+  });
+});
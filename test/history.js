@@ -0,0 +1,80 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const History = require('../dist/lib/properties/history');
+
+describe('History', function() {
+  it('diffs the leaves of two documents', function() {
+    const diff = History.diff({
+      db: {host: 'a', port: 3306, options: {ssl: true}},
+      hosts: ['a', 'b'],
+      removed: 1
+    }, {
+      db: {host: 'b', port: 3306, options: {}},
+      hosts: ['a', 'b', 'c'],
+      added: {deeply: 'yes'}
+    });
+
+    expect(diff).to.deep.equal({
+      added: [
+        {property: 'added:deeply', value: 'yes'},
+        {property: 'db:options', value: {}}
+      ],
+      removed: [
+        {property: 'db:options:ssl', value: true},
+        {property: 'removed', value: 1}
+      ],
+      changed: [
+        {property: 'db:host', from: 'a', to: 'b'},
+        {property: 'hosts', from: ['a', 'b'], to: ['a', 'b', 'c']}
+      ]
+    });
+  });
+
+  it('redacts the values of keys that look like secrets', function() {
+    const diff = History.diff({
+      db: {password: 'hunter2', user: 'admin'}
+    }, {
+      db: {password: 'hunter3', user: 'root'},
+      secrets: {github: 'abc'},
+      'service.api_key': 'xyz'
+    });
+
+    expect(diff.added).to.deep.equal([
+      {property: 'secrets:github', value: '[REDACTED]'},
+      {property: 'service.api_key', value: '[REDACTED]'}
+    ]);
+    expect(diff.changed).to.deep.equal([
+      {property: 'db:password', from: '[REDACTED]', to: '[REDACTED]'},
+      {property: 'db:user', from: 'admin', to: 'root'}
+    ]);
+  });
+
+  it('records revisions for builds that change properties', function() {
+    const history = new History();
+
+    const first = history.record({a: 1});
+
+    expect(first.revision).to.equal(1);
+    expect(first.timestamp).to.be.instanceOf(Date);
+    expect(first.added).to.deep.equal([{property: 'a', value: 1}]);
+
+    expect(history.record({a: 1})).to.equal(null);
+    expect(history.record({a: 2}).changed).to.deep.equal([{property: 'a', from: 1, to: 2}]);
+
+    expect(history.revision).to.equal(2);
+    expect(history.get(1)).to.equal(first);
+    expect(history.get(3)).to.equal(null);
+  });
+
+  it('keeps a bounded number of revisions', function() {
+    const history = new History(2);
+
+    [1, 2, 3].forEach((value) => history.record({a: value}));
+
+    expect(history.revisions.map((revision) => revision.revision)).to.deep.equal([2, 3]);
+    expect(history.get(1)).to.equal(null);
+  });
+});
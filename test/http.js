@@ -0,0 +1,201 @@
+'use strict';
+
+require('./lib/helpers');
+
+const HTTPServer = require('http');
+const should = require('should');
+
+const Source = require('../dist/lib/source/common');
+const HTTP = require('../dist/lib/source/http');
+const Sources = require('../dist/lib/sources');
+
+const testServerPort = 3001;
+const url = `http://127.0.0.1:${testServerPort}/properties.json`;
+
+describe('HTTP source plugin', function() {
+  this.timeout(2000);
+
+  const document = {properties: {a: 1, b: 'foo', c: {d: 0}}};
+  let server = null;
+  let requests = [];
+  let handler = null;
+
+  before((done) => {
+    server = HTTPServer.createServer((req, res) => {
+      requests.push(req);
+      handler(req, res);
+    }).listen(testServerPort, done);
+  });
+
+  after((done) => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    requests = [];
+    handler = (req, res) => {
+      if (req.headers['if-none-match'] === '"v1"') {
+        res.writeHead(304);
+
+        return res.end();
+      }
+
+      res.writeHead(200, {
+        ETag: '"v1"',
+        'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT'
+      });
+      res.end(JSON.stringify(document));
+    };
+
+    this.source = new HTTP('properties.json', {url});
+  });
+
+  afterEach(() => {
+    this.source.shutdown();
+  });
+
+  it('throws an error if instantiated without a url', () => {
+    should.throws(() => {
+      new HTTP('test', {});
+    }, ReferenceError);
+  });
+
+  it('exposes an error if its URL has an unsupported protocol', (done) => {
+    const source = new HTTP('ftp', {url: 'ftp://example.com/properties.json'});
+
+    source.on('error', (err) => {
+      err.should.be.an.instanceOf(TypeError);
+      err.message.should.match(/Unsupported protocol/);
+      source.state.should.equal(Source.ERROR);
+      requests.length.should.equal(0);
+      source.shutdown();
+      done();
+    });
+
+    source.initialize();
+  });
+
+  it('is registered as a source provider', () => {
+    Sources.providers.http.should.equal(HTTP);
+  });
+
+  it('identifies as a \'http\' source plugin', () => {
+    this.source.type.should.equal('http');
+  });
+
+  it('parses a document from the response body', () => this.source.initialize().then(() => {
+    this.source.state.should.equal(Source.RUNNING);
+    this.source.properties.should.deepEqual(document.properties);
+  }));
+
+  it('returns a properly formed status object', () => this.source.initialize().then(() => {
+    const status = this.source.status();
+
+    status.ok.should.equal(true);
+    status.resource.should.equal(url);
+    status.etag.should.equal('"v1"');
+    status.modified.should.equal('Wed, 21 Oct 2015 07:28:00 GMT');
+  }));
+
+  it('sends custom headers and conditional request headers', (done) => {
+    const source = new HTTP('headers', {url, headers: {Authorization: 'Bearer token'}});
+
+    source.initialize().then(() => {
+      source.once('noupdate', () => {
+        requests[1].headers.authorization.should.equal('Bearer token');
+        requests[1].headers['if-none-match'].should.equal('"v1"');
+        requests[1].headers['if-modified-since'].should.equal('Wed, 21 Oct 2015 07:28:00 GMT');
+
+        source.shutdown();
+        done();
+      });
+
+      source._fetch((err, data) => source._update(data));
+    });
+  });
+
+  it('sends headers rendered from index templates', () => {
+    const index = new Sources.Index([{
+      name: 'templated',
+      type: 'http',
+      parameters: {
+        url,
+        headers: {Authorization: 'Bearer {{ secrets:token }}'}
+      }
+    }], {secrets: {token: 'rendered'}});
+
+    const diff = Sources.Comparator.compare(new Sources.Index([]), index);
+    const source = diff.build(Sources.providers).sources.templated;
+
+    return source.initialize().then(() => {
+      requests[0].headers.authorization.should.equal('Bearer rendered');
+      source.shutdown();
+    });
+  });
+
+  it('parses documents in the format given by the response\'s Content-Type', () => {
+    handler = (req, res) => {
+      res.writeHead(200, {'Content-Type': 'application/x-yaml'});
+      res.end('# A YAML document\nproperties:\n  a: 1\n');
+    };
+
+    return this.source.initialize().then(() => {
+      this.source.properties.should.deepEqual({a: 1});
+    });
+  });
+
+  it('doesn\'t emit an update if the server returns a 304', (done) => {
+    this.source.initialize().then(() => {
+      this.source.once('update', () => done(new Error('An update should not have been emitted!')));
+      this.source.once('noupdate', () => {
+        this.source.state.should.equal(Source.RUNNING);
+        done();
+      });
+
+      this.source._fetch((err, data) => this.source._update(data));
+    });
+  });
+
+  it('transitions to WAITING if the server returns a 404', () => {
+    handler = (req, res) => {
+      res.writeHead(404);
+      res.end();
+    };
+
+    return this.source.initialize().then(() => {
+      this.source.state.should.equal(Source.WAITING);
+      this.source.properties.should.be.empty();
+      should(this.source.status().etag).be.null();
+    });
+  });
+
+  it('exposes an error if the server returns an unexpected status', (done) => {
+    handler = (req, res) => {
+      res.writeHead(500);
+      res.end();
+    };
+
+    this.source.on('error', (err) => {
+      err.code.should.equal(500);
+      this.source.state.should.equal(Source.ERROR);
+      done();
+    });
+
+    this.source.initialize();
+  });
+
+  it('exposes an error if the request times out', (done) => {
+    const source = new HTTP('timeout', {url, timeout: 50});
+
+    handler = () => {};
+
+    source.on('error', (err) => {
+      err.message.should.match(/timed out/);
+      source.state.should.equal(Source.ERROR);
+      source.shutdown();
+      done();
+    });
+
+    source.initialize();
+  });
+});
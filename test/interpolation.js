@@ -0,0 +1,76 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const Interpolation = require('../dist/lib/properties/interpolation');
+
+describe('Interpolation', function() {
+  it('renders templated values against the document', function() {
+    const rendered = Interpolation.render({
+      consul: {mysql: {addresses: ['10.0.0.1', '10.0.0.2']}},
+      instance: {region: 'us-east-1'},
+      'db.url': 'jdbc:mysql://{{consul:mysql:addresses:0}}:3306/{{instance:region}}',
+      list: ['{{ instance:region | upper }}', 42],
+      plain: 'no templates here'
+    });
+
+    expect(rendered.errors).to.deep.equal([]);
+    expect(rendered.properties['db.url']).to.equal('jdbc:mysql://10.0.0.1:3306/us-east-1');
+    expect(rendered.properties.list).to.deep.equal(['US-EAST-1', 42]);
+    expect(rendered.properties.plain).to.equal('no templates here');
+  });
+
+  it('renders properties that reference other templated properties', function() {
+    const rendered = Interpolation.render({
+      url: 'http://{{host}}/{{path}}',
+      host: '{{name}}.{{domain}}',
+      name: 'db',
+      domain: 'example.com',
+      path: '{{name}}'
+    });
+
+    expect(rendered.errors).to.deep.equal([]);
+    expect(rendered.properties.url).to.equal('http://db.example.com/db');
+    expect(rendered.properties.host).to.equal('db.example.com');
+  });
+
+  it('does not modify the document', function() {
+    const document = {a: '{{b}}', b: 'c'};
+
+    Interpolation.render(document);
+    expect(document.a).to.equal('{{b}}');
+  });
+
+  it('leaves unresolved values as they are and reports them', function() {
+    const rendered = Interpolation.render({
+      db: {url: 'jdbc:mysql://{{consul:mysql:addresses:0}}:3306'},
+      fallback: '{{ consul:mysql:addresses:0 | default "localhost" }}'
+    });
+
+    expect(rendered.properties.db.url).to.equal('jdbc:mysql://{{consul:mysql:addresses:0}}:3306');
+    expect(rendered.properties.fallback).to.equal('localhost');
+    expect(rendered.errors).to.deep.equal([
+      {property: 'db:url', reason: 'Undefined parameter consul:mysql:addresses:0'}
+    ]);
+  });
+
+  it('detects circular references', function() {
+    const rendered = Interpolation.render({
+      a: '{{b}}',
+      b: 'x{{c}}',
+      c: '{{a}}',
+      d: '{{a}}',
+      e: '{{e}}'
+    });
+
+    expect(rendered.errors).to.deep.equal([
+      {property: 'a', reason: 'Circular reference a -> b -> c -> a'},
+      {property: 'b', reason: 'Circular reference b -> c -> a -> b'},
+      {property: 'c', reason: 'Circular reference c -> a -> b -> c'},
+      {property: 'd', reason: 'Circular reference a -> b -> c -> a'},
+      {property: 'e', reason: 'Circular reference e -> e'}
+    ]);
+    expect(rendered.properties.e).to.equal('{{e}}');
+  });
+});
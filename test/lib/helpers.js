@@ -3,6 +3,9 @@
 global.Log = new (require('winston').Logger)();
 global.Config = require('nconf');
 
+// Tests can override configuration with Config.set, and remove overrides with Config.clear
+Config.use('memory');
+
 Config.defaults({
   // The S3 Source module uses some Config parameters as defaults
   index: {
@@ -20,5 +23,8 @@ Config.defaults({
     host: '127.0.0.1',
     port: 8500,
     secure: false
+  },
+  file: {
+    root: require('os').tmpdir()
   }
 });
@@ -6,6 +6,7 @@ const checks = require('../../data/consul-checks.json');
 const nodes = require('../../data/consul-nodes.json');
 const services = require('../../data/consul-catalog-services.json');
 const health = require('../../data/consul-health-service.json');
+const kv = require('../../data/consul-kv.json');
 
 class Watcher extends EventEmitter {
   constructor(data) {
@@ -39,8 +40,35 @@ exports.health = {
       callback(null, results);
     }, 150);
   },
-  state: checks
+  state: function state(options, callback) {
+    exports.requests.push(options);
+
+    setTimeout(function _() {
+      callback(null, checks, {statusCode: 200, headers: {'x-consul-index': exports.index}});
+    }, 150);
+  }
+};
+
+// Generic request method used for APIs that the client doesn't wrap
+exports._get = function _get(req, handler, callback) {
+  exports.queries.push(req);
+
+  if (req.name !== 'health.service') {
+    throw ReferenceError(`No stub for ${req.name}!`);
+  }
+
+  this.health.service({
+    service: req.params.service,
+    passing: req.query.passing === 'true'
+  }, callback);
 };
+exports.queries = [];
+
+// The X-Consul-Index returned by blocking endpoints, and the options that they were called with
+exports.index = '100';
+exports.requests = [];
+exports.catalogIndex = '50';
+exports.listings = [];
 
 // Method stubs
 exports.watch = function watch(options) {
@@ -54,8 +82,10 @@ exports.watch = function watch(options) {
 exports.catalog = {
   service: {
     list: function list(options, callback) {
+      exports.listings.push(options);
+
       setTimeout(function _() {
-        callback(null, services);
+        callback(null, services, {statusCode: 200, headers: {'x-consul-index': exports.catalogIndex}});
       }, 150);
     }
   },
@@ -69,6 +99,20 @@ exports.catalog = {
   }
 };
 
+exports.kv = {
+  get: function get(options, callback) {
+    const results = kv.filter((item) => item.Key.indexOf(options.key) === 0);
+
+    setTimeout(function _() {
+      if (results.length === 0) {
+        return callback(undefined, undefined, {statusCode: 404, headers: {}});
+      }
+
+      callback(null, results, {statusCode: 200, headers: {'x-consul-index': '16'}});
+    }, 150);
+  }
+};
+
 // Export some useful datasets to test against
 exports.data = {
   checks: {
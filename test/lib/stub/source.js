@@ -26,6 +26,9 @@ class Stub extends Common(Parser) {
     this.delay = options.delay;
     this.name = name;
     this.properties = {};
+
+    // Sources declared by this source's document
+    this.declares = options.sources;
   }
 
   initialize() {
@@ -33,7 +36,7 @@ class Stub extends Common(Parser) {
 
     // Simulate a network request
     setTimeout(() => {
-      this._update({properties: this.properties});
+      this._update({properties: this.properties, sources: this.declares});
     }, this.delay);
 
     return initialized;
@@ -0,0 +1,454 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const request = require('supertest');
+
+const Properties = require('../dist/lib/properties');
+const Source = require('./lib/stub/source');
+
+const testServerPort = 3000;
+const HTTP_OK = 200;
+const HTTP_NOT_MODIFIED = 304;
+const HTTP_BAD_REQUEST = 400;
+const HTTP_NOT_FOUND = 404;
+const HTTP_NOT_ACCEPTABLE = 406;
+const HTTP_SERVICE_UNAVAILABLE = 503;
+
+Properties.BUILD_HOLD_DOWN = 100;
+
+describe('Properties API v1', function() {
+  const properties = new Properties();
+  const stub = new Source.Stub('global');
+  let server = null;
+
+  before(function() {
+    const app = require('express')();
+
+    require('../dist/lib/control/v1/properties').attach(app, properties);
+    server = app.listen(testServerPort);
+
+    stub.properties = {db: {host: 'a'}};
+
+    return properties.initialize()
+      .then(() => properties.view([stub]).activate());
+  });
+
+  after(function(done) {
+    server.close(done);
+  });
+
+  /**
+   * GET a path, optionally with an If-None-Match header
+   *
+   * @param {String}   path
+   * @param {String}   etag
+   * @param {Function} callback
+   */
+  const get = (path, etag, callback) => {
+    const req = request(server).get(path);
+
+    if (etag) {
+      req.set('If-None-Match', etag);
+    }
+
+    req.end(callback);
+  };
+
+  it('returns the revision and an ETag with properties', function(done) {
+    get('/v1/properties', null, (err, res) => {
+      if (err) {
+        return done(err);
+      }
+
+      expect(res.status).to.equal(HTTP_OK);
+      expect(res.body).to.deep.equal({db: {host: 'a'}});
+      expect(res.headers.etag).to.match(/^"[0-9a-f]{40}"$/);
+      expect(res.headers['x-propsd-revision']).to.equal('1');
+      done();
+    });
+  });
+
+  it('returns 304 when the ETag matches', function(done) {
+    get('/v1/properties', null, (err, res) => {
+      if (err) {
+        return done(err);
+      }
+
+      const etag = res.headers.etag;
+
+      get('/v1/properties', etag, (err2, res2) => {
+        if (err2) {
+          return done(err2);
+        }
+
+        expect(res2.status).to.equal(HTTP_NOT_MODIFIED);
+        expect(res2.headers.etag).to.equal(etag);
+        expect(res2.text).to.equal('');
+
+        get('/v1/properties/db/host', etag, (err3, res3) => {
+          expect(res3.status).to.equal(HTTP_NOT_MODIFIED);
+          done(err3);
+        });
+      });
+    });
+  });
+
+  it('returns new properties, revision and ETag after they change', function(done) {
+    get('/v1/properties', null, (err, res) => {
+      if (err) {
+        return done(err);
+      }
+
+      properties.once('build', () => {
+        get('/v1/properties', res.headers.etag, (err2, res2) => {
+          if (err2) {
+            return done(err2);
+          }
+
+          expect(res2.status).to.equal(HTTP_OK);
+          expect(res2.body).to.deep.equal({db: {host: 'b'}});
+          expect(res2.headers.etag).to.not.equal(res.headers.etag);
+          expect(res2.headers['x-propsd-revision']).to.equal('2');
+          done();
+        });
+      });
+
+      stub.update({db: {host: 'b'}});
+    });
+  });
+
+  describe('Output formats', function() {
+    it('returns properties in the format parameter\'s format', function(done) {
+      request(server)
+        .get('/v1/properties?format=env')
+        .expect('Content-Type', 'text/plain; charset=utf-8')
+        .expect(HTTP_OK, 'DB_HOST=b\n', done);
+    });
+
+    it('negotiates a format with the Accept header', function(done) {
+      request(server)
+        .get('/v1/properties/db')
+        .set('Accept', 'application/x-yaml')
+        .expect('Content-Type', 'application/yaml; charset=utf-8')
+        .expect('Vary', 'Accept')
+        .expect(HTTP_OK, 'host: b\n', done);
+    });
+
+    it('gives each format its own ETag', function(done) {
+      get('/v1/properties?format=yaml', null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.headers.etag).to.match(/^"[0-9a-f]{40}-yaml"$/);
+        get('/v1/properties', res.headers.etag, (err2, res2) => {
+          expect(res2.status).to.equal(HTTP_OK);
+          done(err2);
+        });
+      });
+    });
+
+    it('rejects unknown formats and options', function(done) {
+      request(server)
+        .get('/v1/properties?format=xml')
+        .expect(HTTP_BAD_REQUEST)
+        .end((err) => {
+          if (err) {
+            return done(err);
+          }
+
+          request(server)
+            .get('/v1/properties?format=env&case=title')
+            .expect(HTTP_BAD_REQUEST)
+            .end(done);
+        });
+    });
+
+    it('returns 406 for values that can\'t be represented in a format', function(done) {
+      request(server)
+        .get('/v1/properties/db/host?format=toml')
+        .expect(HTTP_NOT_ACCEPTABLE)
+        .end(done);
+    });
+  });
+
+  describe('Queries', function() {
+    it('selects and flattens properties', function(done) {
+      request(server)
+        .get('/v1/properties?select=db.*&flatten=true')
+        .expect(HTTP_OK, {'db.host': 'b'}, done);
+    });
+
+    it('applies queries to a property', function(done) {
+      request(server)
+        .get('/v1/properties/db?keys=h*&format=env')
+        .expect(HTTP_OK, 'HOST=b\n', done);
+    });
+
+    it('rejects invalid selectors', function(done) {
+      request(server)
+        .get('/v1/properties?select=$.db[')
+        .expect(HTTP_BAD_REQUEST)
+        .end(done);
+    });
+  });
+
+  describe('Blocking queries', function() {
+    const initial = {db: {host: 'b'}};
+    let revision = null;
+
+    // Start each test from the same properties, and read their revision
+    beforeEach(function(done) {
+      const current = () => get('/v1/properties', null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        revision = Number(res.headers['x-propsd-revision']);
+        done();
+      });
+
+      get('/v1/properties', null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        if (JSON.stringify(res.body) === JSON.stringify(initial)) {
+          return current();
+        }
+
+        properties.once('build', current);
+        stub.update(initial);
+      });
+    });
+
+    it('responds immediately if the index is not the current revision', function(done) {
+      get(`/v1/properties?index=${revision - 1}&wait=10s`, null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.status).to.equal(HTTP_OK);
+        expect(res.headers['x-propsd-revision']).to.equal(String(revision));
+        done();
+      });
+    });
+
+    it('responds with the current properties when the wait time elapses', function(done) {
+      const started = Date.now();
+
+      get(`/v1/properties?index=${revision}&wait=200ms`, null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(Date.now() - started).to.be.at.least(200);
+        expect(res.status).to.equal(HTTP_OK);
+        expect(res.headers['x-propsd-revision']).to.equal(String(revision));
+        expect(res.body).to.deep.equal(initial);
+        done();
+      });
+    });
+
+    it('responds when the properties change', function(done) {
+      get(`/v1/properties?index=${revision}&wait=10s`, null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(res.headers['x-propsd-revision']).to.equal(String(revision + 1));
+        expect(res.body).to.deep.equal({db: {host: 'c'}});
+        done();
+      });
+
+      setTimeout(() => stub.update({db: {host: 'c'}}), 50);
+    });
+
+    it('only responds to requests for a property when it changes', function(done) {
+      const started = Date.now();
+
+      get(`/v1/properties/db/host?index=${revision}&wait=2s`, null, (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(Date.now() - started).to.be.below(2000);
+        expect(res.headers['x-propsd-revision']).to.equal(String(revision + 2));
+        expect(res.body).to.equal('d');
+        done();
+      });
+
+      // Change another property, then the one being watched
+      setTimeout(() => {
+        properties.once('build', () => setTimeout(() => stub.update({db: {host: 'd'}, debug: true}), 50));
+        stub.update({db: {host: 'b'}, debug: true});
+      }, 50);
+    });
+
+    it('responds immediately if the If-None-Match header is not the current ETag', function(done) {
+      const started = Date.now();
+
+      get(`/v1/properties?index=${revision}&wait=2s`, '"stale"', (err, res) => {
+        if (err) {
+          return done(err);
+        }
+
+        expect(Date.now() - started).to.be.below(2000);
+        expect(res.status).to.equal(HTTP_OK);
+        expect(res.body).to.deep.equal(initial);
+        done();
+      });
+    });
+
+    it('responds when a secret rotates without changing the revision', function(done) {
+      const transform = properties.tokendTransformer.transform;
+      const started = Date.now();
+
+      get(`/v1/properties?index=${revision}&wait=2s`, null, (err, res) => {
+        properties.tokendTransformer.transform = transform;
+        if (err) {
+          return done(err);
+        }
+
+        expect(Date.now() - started).to.be.below(2000);
+        expect(res.headers['x-propsd-revision']).to.equal(String(revision));
+        expect(res.body).to.deep.equal({db: {host: 'b'}, password: 'rotated'});
+
+        // Remove the secret before the next test
+        properties.once('build', () => done());
+        properties.tokendTransformer._client.emit('update');
+      });
+
+      setTimeout(() => {
+        properties.tokendTransformer.transform = () => Promise.resolve({password: 'rotated'});
+        properties.tokendTransformer._client.emit('update');
+      }, 50);
+    });
+
+    it('transforms each build once for every blocked request', function(done) {
+      const transform = properties.tokendTransformer.transform;
+      let transforms = 0;
+      let responses = 0;
+
+      properties.tokendTransformer.transform = function counted() {
+        transforms += 1;
+
+        return transform.apply(this, arguments);
+      };
+
+      const respond = (err) => {
+        if (err) {
+          properties.tokendTransformer.transform = transform;
+
+          return done(err);
+        }
+
+        responses += 1;
+        if (responses === 3) {
+          properties.tokendTransformer.transform = transform;
+          expect(transforms).to.equal(1);
+          done();
+        }
+      };
+
+      [1, 2, 3].forEach(() => get(`/v1/properties?index=${revision}&wait=2s`, null, respond));
+      setTimeout(() => stub.update({db: {host: 'e'}}), 50);
+    });
+
+    it('rejects invalid wait times', function(done) {
+      request(server)
+        .get(`/v1/properties?index=${revision}&wait=forever`)
+        .expect(HTTP_BAD_REQUEST, {
+          status: HTTP_BAD_REQUEST,
+          error: 'Bad Request',
+          message: 'Invalid wait duration forever',
+          parameter: 'wait'
+        }, done);
+    });
+  });
+
+  describe('Errors', function() {
+    it('returns 404 naming a top-level property that doesn\'t exist', function(done) {
+      request(server)
+        .get('/v1/properties/cache')
+        .expect(HTTP_NOT_FOUND, {
+          status: HTTP_NOT_FOUND,
+          error: 'Not Found',
+          message: 'Property cache not found',
+          property: 'cache',
+          missing: 'cache'
+        }, done);
+    });
+
+    it('returns 404 naming the first key of a nested property that doesn\'t exist', function(done) {
+      request(server)
+        .get('/v1/properties/db/port/number')
+        .expect(HTTP_NOT_FOUND, {
+          status: HTTP_NOT_FOUND,
+          error: 'Not Found',
+          message: 'Key port does not exist in property db',
+          property: 'db:port:number',
+          missing: 'port'
+        }, done);
+    });
+
+    it('returns 404 for keys under values that aren\'t objects', function(done) {
+      request(server)
+        .get('/v1/properties/db/host/length')
+        .expect(HTTP_NOT_FOUND)
+        .end((err, res) => {
+          if (err) {
+            return done(err);
+          }
+
+          expect(res.body.missing).to.equal('length');
+          done();
+        });
+    });
+
+    it('returns properties with falsy values', function(done) {
+      properties.once('build', () => {
+        request(server)
+          .get('/v1/properties/debug')
+          .expect(HTTP_OK)
+          .end((err, res) => {
+            if (err) {
+              return done(err);
+            }
+
+            expect(res.text).to.equal('false');
+            done();
+          });
+      });
+
+      stub.update({db: {host: 'd'}, debug: false});
+    });
+
+    it('returns 400 naming an invalid query parameter', function(done) {
+      request(server)
+        .get('/v1/properties?format=xml')
+        .expect(HTTP_BAD_REQUEST, {
+          status: HTTP_BAD_REQUEST,
+          error: 'Bad Request',
+          message: 'Unsupported format xml',
+          parameter: 'format'
+        }, done);
+    });
+
+    it('returns 503 until properties have been built', function(done) {
+      const app = require('express')();
+
+      require('../dist/lib/control/v1/properties').attach(app, new Properties());
+
+      request(app)
+        .get('/v1/properties/db')
+        .expect(HTTP_SERVICE_UNAVAILABLE, {
+          status: HTTP_SERVICE_UNAVAILABLE,
+          error: 'Service Unavailable',
+          message: 'Properties have not been built yet'
+        }, done);
+    });
+  });
+});
@@ -427,6 +427,240 @@ describe('Properties', function() {
       });
     }).catch(done);
   });
+
+  it('interpolates property values when enabled', function() {
+    const props = new Properties();
+    const view = props.view();
+    const stub = new Source.Stub();
+
+    props.interpolate = true;
+    props.static({region: 'us-east-1'}, 'instance');
+    stub.properties = {
+      db: {host: '10.0.0.1'},
+      'db.url': 'jdbc:mysql://{{db:host}}:3306/{{instance:region}}',
+      missing: '{{db:port}}'
+    };
+    view.register(stub);
+
+    return props.initialize()
+      .then(() => view.activate())
+      .then(() => props.properties)
+      .then((p) => {
+        expect(p['db.url']).to.equal('jdbc:mysql://10.0.0.1:3306/us-east-1');
+        expect(p.missing).to.equal('{{db:port}}');
+        expect(props.unresolved).to.deep.equal([
+          {property: 'missing', reason: 'Undefined parameter db:port'}
+        ]);
+      });
+  });
+
+  it('fetches secrets again after they fail to resolve', function() {
+    const props = new Properties();
+    let available = false;
+    let first = null;
+
+    props.tokendTransformer._client.post = () => {
+      if (!available) {
+        return Promise.reject(new Error('Tokend is unavailable'));
+      }
+
+      return Promise.resolve({plaintext: 'hunter2'});
+    };
+    props.static({
+      password: {$tokend: {type: 'transit', resource: '/v1/transit/default/decrypt', key: 'db', ciphertext: 'abc'}}
+    });
+
+    return props.build()
+      .then(() => props.snapshot)
+      .then((snapshot) => {
+        first = snapshot;
+        expect(snapshot.properties.password).to.equal(null);
+        available = true;
+
+        return props.snapshot;
+      })
+      .then((snapshot) => {
+        expect(snapshot.properties.password).to.equal('hunter2');
+        expect(snapshot.revision).to.equal(first.revision);
+        expect(snapshot.etag).to.not.equal(first.etag);
+      });
+  });
+
+  it('only transforms properties once for each build', function() {
+    const props = new Properties();
+    const transform = props.tokendTransformer.transform.bind(props.tokendTransformer);
+    let transforms = 0;
+
+    props.tokendTransformer.transform = (properties) => {
+      transforms += 1;
+
+      return transform(properties);
+    };
+    props.static({foo: 'bar'});
+
+    return props.build()
+      .then(() => {
+        const first = props.snapshot;
+
+        expect(props.snapshot).to.equal(first);
+        expect(transforms).to.equal(1);
+
+        // Tokend reports a rotated secret
+        props.tokendTransformer._client.emit('update');
+        expect(props.snapshot).to.not.equal(first);
+        expect(transforms).to.equal(2);
+
+        transforms = 0;
+
+        return props.build();
+      })
+      .then(() => {
+        props.snapshot;
+        props.snapshot;
+        expect(transforms).to.equal(1);
+      });
+  });
+
+  it('reads the revision and properties of a snapshot from the same build', function() {
+    const props = new Properties();
+    const transform = props.tokendTransformer.transform.bind(props.tokendTransformer);
+    const pending = [];
+    let revision = null;
+    let snapshot = null;
+
+    props.static({version: 1});
+
+    return props.build()
+      .then(() => {
+        revision = props.history.revision;
+
+        // Hold transforms until the next build has completed
+        props.tokendTransformer.transform = (properties) => new Promise((resolve) => {
+          pending.push(() => resolve(transform(properties)));
+        });
+        snapshot = props.snapshot;
+        props.layers[0].properties = {version: 2};
+
+        return props.build();
+      })
+      .then(() => {
+        pending.forEach((resolve) => resolve());
+
+        return snapshot;
+      })
+      .then((result) => {
+        expect(props.history.revision).to.not.equal(revision);
+        expect(result.revision).to.equal(revision);
+        expect(result.properties.version).to.equal(1);
+      });
+  });
+});
+
+
+describe('Properties#explain', function() {
+  it('returns null before a build, or for unknown properties', function() {
+    const props = new Properties();
+
+    expect(props.explain(['foo'])).to.equal(null);
+  });
+
+  it('lists every contributor to an object property', function() {
+    const props = new Properties();
+    const view = props.view();
+    const a = new Source.Stub('a');
+    const b = new Source.Stub('b');
+
+    a.properties = {db: {host: 'a'}};
+    b.properties = {db: {port: 1}};
+    props.static({name: 'i-1'}, 'instance:tags');
+    view.register(a);
+    view.register(b);
+
+    return props.initialize()
+      .then(() => view.activate())
+      .then(() => {
+        const explanation = props.explain(['db']);
+
+        expect(explanation.value).to.deep.equal({host: 'a', port: 1});
+        expect(explanation.source.name).to.equal('b');
+        expect(explanation.shadowed.map((contributor) => contributor.name)).to.deep.equal(['a']);
+
+        expect(props.explain(['instance']).source).to.include({
+          name: 'instance:tags',
+          type: 'static'
+        });
+        expect(props.explain(['instance']).source.value).to.deep.equal({tags: {name: 'i-1'}});
+        expect(props.explain(['instance', 'tags', 'name']).value).to.equal('i-1');
+        expect(props.explain(['instance', 'region'])).to.equal(null);
+      });
+  });
+
+  it('follows merge directives', function() {
+    const props = new Properties();
+    const view = props.view();
+    const a = new Source.Stub('a');
+    const b = new Source.Stub('b');
+    const c = new Source.Stub('c');
+
+    a.properties = {hosts: ['a'], db: {host: 'a', port: 1}, debug: true, tags: ['x']};
+    b.properties = {hosts: {$append: ['b']}, db: {$replace: {host: 'b'}}, debug: {$delete: true}};
+    c.properties = {hosts: {$prepend: ['c']}, debug: false, tags: {$delete: false}};
+    view.register(a);
+    view.register(b);
+    view.register(c);
+
+    return props.initialize()
+      .then(() => view.activate())
+      .then(() => {
+        const hosts = props.explain(['hosts']);
+
+        expect(hosts.value).to.deep.equal(['c', 'a', 'b']);
+        expect(hosts.source).to.include({name: 'c'});
+        expect(hosts.source.value).to.deep.equal(['c', 'a', 'b']);
+        expect(hosts.shadowed.map((contributor) => contributor.value)).to.deep.equal([['a', 'b'], ['a']]);
+
+        expect(props.explain(['hosts', '$append'])).to.equal(null);
+        expect(props.explain(['hosts', '$prepend'])).to.equal(null);
+
+        const db = props.explain(['db']);
+
+        expect(db.value).to.deep.equal({host: 'b'});
+        expect(db.source).to.include({name: 'b'});
+        expect(db.source.value).to.deep.equal({host: 'b'});
+        expect(db.shadowed).to.deep.equal([]);
+        expect(props.explain(['db', 'host']).source).to.include({name: 'b', value: 'b'});
+        expect(props.explain(['db', 'port'])).to.equal(null);
+
+        const debug = props.explain(['debug']);
+
+        expect(debug.source).to.include({name: 'c', value: false});
+        expect(debug.shadowed).to.deep.equal([]);
+
+        expect(props.explain(['tags']).source).to.include({name: 'a'});
+      });
+  });
+
+  it('returns null for properties that a later layer deletes', function() {
+    const props = new Properties();
+    const view = props.view();
+    const a = new Source.Stub('a');
+    const b = new Source.Stub('b');
+
+    a.properties = {db: {host: 'a', port: 1}, debug: true};
+    b.properties = {db: {host: {$delete: true}}, debug: {$delete: true}};
+    view.register(a);
+    view.register(b);
+
+    return props.initialize()
+      .then(() => view.activate())
+      .then(() => {
+        expect(props.explain(['debug'])).to.equal(null);
+        expect(props.explain(['db', 'host'])).to.equal(null);
+        expect(props.explain(['db']).value).to.deep.equal({port: 1});
+        expect(props.explain(['db']).source).to.include({name: 'b'});
+        expect(props.explain(['db']).source.value).to.deep.equal({});
+      });
+  });
 });
 
 
@@ -557,4 +791,68 @@ describe('Merge', function() {
       e: []
     });
   });
+
+  describe('Directives', function() {
+    it('deletes keys with $delete', function() {
+      const c = Properties.merge({a: 1, b: {c: 2, d: 3}}, {
+        a: {$delete: true},
+        b: {c: {$delete: true}},
+        e: {$delete: true},
+        f: {$delete: false}
+      });
+
+      expect(c).to.deep.equal({b: {d: 3}});
+    });
+
+    it('appends and prepends to arrays', function() {
+      const c = Properties.merge({a: [1, 2], b: [1, 2], c: 'scalar'}, {
+        a: {$append: [3, 4]},
+        b: {$prepend: [0]},
+        c: {$append: ['list']},
+        d: {$prepend: 'item'}
+      });
+
+      expect(c).to.deep.equal({a: [1, 2, 3, 4], b: [0, 1, 2], c: ['list'], d: ['item']});
+    });
+
+    it('replaces values without merging them with $replace', function() {
+      const c = Properties.merge({a: {b: 1, c: 2}}, {
+        a: {$replace: {d: 3, e: {$append: [4]}}},
+        f: {$replace: [5]}
+      });
+
+      expect(c).to.deep.equal({a: {d: 3, e: [4]}, f: [5]});
+    });
+
+    it('does not treat objects with other keys as directives', function() {
+      const c = Properties.merge({a: {b: 1}}, {
+        a: {$delete: true, c: 2},
+        d: {$tokend: {type: 'generic', resource: '/v1/secret/default/password'}}
+      });
+
+      expect(c).to.deep.equal({
+        a: {b: 1, $delete: true, c: 2},
+        d: {$tokend: {type: 'generic', resource: '/v1/secret/default/password'}}
+      });
+    });
+
+    it('applies directives across the layers of a build', function() {
+      const props = new Properties();
+      const view = props.view();
+      const global = new Source.Stub();
+      const regional = new Source.Stub();
+
+      global.properties = {hosts: ['a', 'b'], debug: true, db: {pool: 5}};
+      regional.properties = {hosts: {$append: ['c']}, debug: {$delete: true}};
+      view.register(global);
+      view.register(regional);
+
+      return props.initialize()
+        .then(() => view.activate())
+        .then(() => props.properties)
+        .then((p) => {
+          expect(p).to.deep.equal({hosts: ['a', 'b', 'c'], db: {pool: 5}});
+        });
+    });
+  });
 });
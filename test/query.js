@@ -0,0 +1,71 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const Query = require('../dist/lib/util/query');
+
+describe('Query', function() {
+  const properties = {
+    consul: {
+      web: {addresses: ['10.0.0.1', '10.0.0.2'], tags: {}},
+      db: {addresses: ['10.0.0.3'], cluster: 'db'}
+    },
+    db: {host: 'db.example.com', port: 3306, options: {ssl: true}},
+    'service.name': 'web',
+    hosts: ['a', 'b', 'c']
+  };
+
+  const apply = (query) => Query.compile(query)(properties);
+
+  it('returns values unchanged without a query', function() {
+    expect(apply({})).to.equal(properties);
+  });
+
+  it('selects with dotted keys and wildcards', function() {
+    expect(apply({select: 'consul.*.addresses'})).to.deep.equal({
+      consul: {web: {addresses: ['10.0.0.1', '10.0.0.2']}, db: {addresses: ['10.0.0.3']}}
+    });
+    expect(apply({select: 'db.host'})).to.deep.equal({db: {host: 'db.example.com'}});
+    expect(apply({select: '**.ssl'})).to.deep.equal({db: {options: {ssl: true}}});
+    expect(apply({select: 'hosts.1'})).to.deep.equal({hosts: ['b']});
+  });
+
+  it('selects with JSONPath', function() {
+    expect(apply({select: '$.consul.*.cluster'})).to.deep.equal({consul: {db: {cluster: 'db'}}});
+    expect(apply({select: '$..addresses[0]'})).to.deep.equal({
+      consul: {web: {addresses: ['10.0.0.1']}, db: {addresses: ['10.0.0.3']}}
+    });
+    expect(apply({select: '$[\'service.name\']'})).to.deep.equal({'service.name': 'web'});
+    expect(apply({select: '$.hosts[*]'})).to.deep.equal({hosts: ['a', 'b', 'c']});
+  });
+
+  it('combines multiple selectors', function() {
+    expect(apply({select: ['db.port', 'hosts']})).to.deep.equal({db: {port: 3306}, hosts: ['a', 'b', 'c']});
+  });
+
+  it('returns an empty object when nothing is selected', function() {
+    expect(apply({select: 'missing.*'})).to.deep.equal({});
+  });
+
+  it('filters leaves with key globs', function() {
+    expect(apply({keys: 'db.*'})).to.deep.equal({db: {host: 'db.example.com', port: 3306}});
+    expect(apply({keys: 'db.**'})).to.deep.equal({db: properties.db});
+    expect(apply({keys: 'service.*'})).to.deep.equal({'service.name': 'web'});
+    expect(apply({keys: ['hosts.?', 'db.p*']})).to.deep.equal({db: {port: 3306}, hosts: ['a', 'b', 'c']});
+  });
+
+  it('flattens values into dotted keys', function() {
+    expect(apply({select: 'db', flatten: 'true'})).to.deep.equal({
+      'db.host': 'db.example.com',
+      'db.port': 3306,
+      'db.options.ssl': true
+    });
+    expect(Query.compile({flatten: 'true'})('scalar')).to.equal('scalar');
+  });
+
+  it('rejects invalid JSONPath expressions', function() {
+    expect(() => Query.compile({select: '$.db['})).to.throw(SyntaxError);
+    expect(() => Query.compile({select: '$db'})).to.throw(SyntaxError);
+  });
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+
+const Schema = require('../dist/lib/sources/schema');
+const Sources = require('../dist/lib/sources');
+
+describe('Index schema', function() {
+  const validate = (configs) => Schema.validate(configs, Sources.providers);
+
+  it('accepts valid index entries', function() {
+    expect(validate([{
+      name: 'global',
+      type: 's3',
+      parameters: {path: 'global.json', interval: 30000, format: 'json'}
+    }, {
+      name: 'templated',
+      type: 'file',
+      when: 'instance:region == "us-east-1"',
+      required: true,
+      parameters: {path: '/etc/propsd/{{instance:region}}.yaml', interval: '{{ speed }}'}
+    }, {
+      name: 'services',
+      type: 'consul',
+      parameters: {services: ['web', 'db'], nodeMeta: {rack: 'a1'}, port: '8500'}
+    }])).to.deep.equal([]);
+  });
+
+  it('requires a list of entries', function() {
+    expect(validate({name: 'global'})).to.deep.equal(['`sources` must be an array']);
+    expect(validate(['global'])).to.deep.equal(['sources[0] must be an object']);
+  });
+
+  it('requires a known type', function() {
+    expect(validate([{type: 's3', parameters: {path: 'a.json'}}])).to.deep.equal([]);
+    expect(validate([{parameters: {path: 'a.json'}}])).to.deep.equal(['sources[0]: `type` is required']);
+    expect(validate([{name: 'global', type: 'ftp'}])[0])
+      .to.match(/^sources\[0\] \(global\): type `ftp` is not one of s3, consul/);
+  });
+
+  it('rejects duplicate names', function() {
+    expect(validate([
+      {name: 'global', type: 's3', parameters: {path: 'a.json'}},
+      {name: 'global', type: 's3', parameters: {path: 'b.json'}}
+    ])).to.deep.equal(['sources[1] (global): `name` is also used by sources[0]']);
+  });
+
+  it('validates conditions', function() {
+    expect(validate([{name: 'global', type: 's3', when: 'instance:region ==', parameters: {path: 'a.json'}}])[0])
+      .to.match(/^sources\[0\] \(global\): `when` Unexpected end of condition/);
+  });
+
+  it('validates parameters against the provider\'s schema', function() {
+    expect(validate([
+      {name: 'missing', type: 's3', parameters: {}},
+      {name: 'interval', type: 's3', parameters: {path: 'a.json', interval: 'often'}},
+      {name: 'format', type: 'http', parameters: {url: 'http://example.com/a', format: 'xml'}},
+      {name: 'headers', type: 'http', parameters: {url: 'http://example.com/a', headers: ['a']}}
+    ])).to.deep.equal([
+      'sources[0] (missing): parameter `path` is required',
+      'sources[1] (interval): parameter `interval` must be a number',
+      'sources[2] (format): parameter `format` must be one of json, yaml, toml',
+      'sources[3] (headers): parameter `headers` must be an object'
+    ]);
+  });
+
+  it('validates the protocol of HTTP source URLs', function() {
+    expect(validate([
+      {name: 'secure', type: 'http', parameters: {url: 'HTTPS://example.com/a'}},
+      {name: 'templated', type: 'http', parameters: {url: '{{ base }}/a'}},
+      {name: 'ftp', type: 'http', parameters: {url: 'ftp://example.com/a'}}
+    ])).to.deep.equal([
+      'sources[2] (ftp): parameter `url` must be an http or https URL'
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+require('./lib/helpers');
+
+const expect = require('chai').expect;
+const Serializers = require('../dist/lib/util/serializers');
+
+const serialize = (format, value, options) => Serializers.SERIALIZERS[format].serialize(value, options || {});
+
+describe('Serializers', function() {
+  const properties = {
+    db: {host: 'db.example.com', port: 3306},
+    'service.name': 'web',
+    hosts: ['a', 'b'],
+    empty: {}
+  };
+
+  it('serializes YAML', function() {
+    expect(serialize('yaml', properties)).to.equal([
+      'db:',
+      '  host: db.example.com',
+      '  port: 3306',
+      'service.name: web',
+      'hosts:',
+      '  - a',
+      '  - b',
+      'empty: {}',
+      ''
+    ].join('\n'));
+  });
+
+  it('serializes TOML', function() {
+    expect(serialize('toml', properties)).to.include('"service.name" = "web"');
+    expect(serialize('toml', properties)).to.include('[db]\nhost = "db.example.com"\nport = 3_306');
+    expect(() => serialize('toml', 'scalar')).to.throw(TypeError);
+  });
+
+  it('serializes dotenv files', function() {
+    expect(serialize('env', properties)).to.equal([
+      'DB_HOST=db.example.com',
+      'DB_PORT=3306',
+      'SERVICE_NAME=web',
+      'HOSTS_0=a',
+      'HOSTS_1=b',
+      ''
+    ].join('\n'));
+
+    expect(serialize('env', {db: {host: 'a'}}, {case: 'preserve', separator: '__'})).to.equal('db__host=a\n');
+    expect(serialize('env', {db: {host: 'a'}}, {case: 'lower'})).to.equal('db_host=a\n');
+  });
+
+  it('quotes dotenv values', function() {
+    expect(serialize('env', {a: 'two words', b: 'say "hi"\n$HOME'})).to.equal([
+      'A="two words"',
+      'B="say \\"hi\\"\\n\\$HOME"',
+      ''
+    ].join('\n'));
+  });
+
+  it('serializes Java properties with escaping', function() {
+    expect(serialize('properties', {
+      db: {url: 'jdbc:mysql://db:3306/app'},
+      'key=with:separators': ' leading space',
+      multiline: 'a\nb\\c',
+      unicode: 'café'
+    })).to.equal([
+      'db.url=jdbc:mysql://db:3306/app',
+      'key\\=with\\:separators=\\ leading space',
+      'multiline=a\\nb\\\\c',
+      'unicode=caf\\u00e9',
+      ''
+    ].join('\n'));
+  });
+
+  describe('negotiate', function() {
+    /**
+     * Build a fake request
+     *
+     * @param {Object} query
+     * @param {String} accepted  The media type that the request accepts
+     * @return {Object}
+     */
+    const req = (query, accepted) => ({
+      query,
+      accepts: (types) => (types.indexOf(accepted) === -1 ? false : accepted)
+    });
+
+    it('prefers the format parameter', function() {
+      expect(Serializers.negotiate(req({format: 'env'}, 'application/yaml'))).to.equal('env');
+      expect(Serializers.negotiate(req({format: 'xml'}, 'application/yaml'))).to.equal(null);
+    });
+
+    it('uses the Accept header, falling back to JSON', function() {
+      expect(Serializers.negotiate(req({}, 'application/yaml'))).to.equal('yaml');
+      expect(Serializers.negotiate(req({}, 'text/x-java-properties'))).to.equal('properties');
+      expect(Serializers.negotiate(req({}, 'text/html'))).to.equal('json');
+    });
+  });
+});
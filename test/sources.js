@@ -47,7 +47,30 @@ describe('Sources', function() {
       const generatedName = index.order[0];
 
       expect(index.configurations).to.have.key(generatedName);
-      expect(generatedName).to.match(/^test:/);
+      expect(generatedName).to.match(/^test:[0-9a-f]{16}$/);
+    });
+
+    it('generates stable names from the rendered contents of unnamed configuration objects', function() {
+      const configs = [{type: 'stub', parameters: {path: '{{ region }}.json'}}];
+      const one = new Sources.Index(configs, {region: 'us-east-1'});
+      const two = new Sources.Index([{parameters: {path: '{{ region }}.json'}, type: 'stub'}], {region: 'us-east-1'});
+      const three = new Sources.Index(configs, {region: 'us-west-2'});
+
+      expect(one.order).to.deep.equal(two.order);
+      expect(one.order).to.not.deep.equal(three.order);
+      expect(configs[0]).to.not.have.property('name');
+
+      const diff = Sources.Comparator.compare(one, two);
+
+      expect(diff.changes).to.equal(false);
+      expect(diff.copy).to.deep.equal(one.order);
+    });
+
+    it('numbers identical unnamed configuration objects', function() {
+      const index = new Sources.Index([{type: 'stub'}, {type: 'stub'}]);
+
+      expect(index.order).to.have.length.of(2);
+      expect(index.order[1]).to.equal(`${index.order[0]}:2`);
     });
 
     it('interpolates template values in strings in configuration objects', function() {
@@ -107,6 +130,38 @@ describe('Sources', function() {
       expect(index.configurations).to.be.empty;
     });
 
+    it('skips configuration objects whose conditions aren\'t met', function() {
+      const index = new Sources.Index([{
+        name: 'production',
+        type: 'test',
+        when: 'instance:tags:Environment == "prod"'
+      }, {
+        name: 'regional',
+        type: 'test',
+        when: ['instance:region in ["us-east-1", "us-west-2"]', 'instance:tags:Environment == "dev"']
+      }, {
+        name: 'not-canary',
+        type: 'test',
+        unless: 'instance:hostname =~ /^canary-/'
+      }, {
+        name: 'invalid',
+        type: 'test',
+        when: 'instance:region =='
+      }], {
+        instance: {
+          region: 'us-east-1',
+          hostname: 'canary-1',
+          tags: {Environment: 'prod'}
+        }
+      });
+
+      expect(index.order).to.deep.equal(['production']);
+      expect(index.skipped.map((entry) => entry.name)).to.deep.equal(['regional', 'not-canary', 'invalid']);
+      expect(index.skipped[0].reason).to.equal('`when` condition `instance:tags:Environment == "dev"` is false');
+      expect(index.skipped[1].reason).to.equal('`unless` condition `instance:hostname =~ /^canary-/` is true');
+      expect(index.skipped[2].reason).to.match(/Unexpected end of condition/);
+    });
+
     it('returns an ordered set of sources', function() {
       const index = new Sources.Index([{
         name: 'first',
@@ -223,6 +278,45 @@ describe('Sources', function() {
       expect(index.sources).to.be.empty;
     });
 
+    it('skips source configurations that can\'t be instantiated, and retries them', function() {
+      const configs = [{name: 'broken', type: 'broken', parameters: {}}];
+      let fail = true;
+
+      /**
+       * A provider whose constructor fails until it's fixed
+       */
+      class Broken extends Source.Stub {
+        constructor(name, opts) {
+          if (fail) {
+            throw new TypeError('Unsupported protocol');
+          }
+          super(name, opts);
+        }
+      }
+
+      const first = new Sources.Index(configs);
+      const diff = Sources.Comparator.compare(one, first);
+
+      expect(() => diff.build({broken: Broken})).to.not.throw();
+      expect(first.sources).to.be.empty;
+      expect(first.skipped).to.deep.equal([
+        {name: 'broken', type: 'broken', required: false, error: true, reason: 'Unsupported protocol'}
+      ]);
+
+      // The configuration is unchanged, but its source is created once it can be
+      const second = new Sources.Index(configs);
+
+      fail = false;
+      const retried = Sources.Comparator.compare(first, second);
+
+      retried.build({broken: Broken});
+
+      expect(retried.changes).to.equal(true);
+      expect(retried.create).to.deep.equal(['broken']);
+      expect(second.sources.broken).to.be.instanceOf(Broken);
+      expect(() => Sources.Comparator.compare(first, one).cleanup()).to.not.throw();
+    });
+
     it('shuts down removed sources from an old index', function(done) {
       const diff = Sources.Comparator.compare(two, three);
 
@@ -280,6 +374,54 @@ describe('Sources', function() {
 
       expect(stubs.sources.indices).to.deep.equal([stubs.index]);
     });
+
+    it('orders indices by priority', function() {
+      const sources = new Sources(new Properties());
+      const team = new Source.IndexStub([]);
+      const org = new Source.IndexStub([]);
+      const host = new Source.IndexStub([]);
+
+      sources.index(team, 10);
+      sources.index(org);
+      sources.index(host, 10);
+
+      expect(sources.indices).to.deep.equal([org, team, host]);
+      expect(sources.health().indices.map((index) => index.priority)).to.deep.equal([0, 10, 10]);
+    });
+
+    it('layers sources from indices in priority order', function() {
+      this.timeout(5000);
+      const sources = new Sources(new Properties());
+
+      sources.index(new Source.IndexStub([{type: 'stub', name: 'team', parameters: {delay: 5}}]), 1);
+      sources.index(new Source.IndexStub([{type: 'stub', name: 'org', parameters: {delay: 5}}]));
+
+      return sources.initialize().then(() => {
+        expect(sources.current.order).to.deep.equal(['org', 'team']);
+      });
+    });
+
+    it('creates indices from configuration', function() {
+      const sources = new Sources(new Properties());
+
+      sources.configure([{
+        name: 'team',
+        bucket: 'team-bucket',
+        priority: 1
+      }, {
+        name: 'org',
+        bucket: 'org-bucket',
+        path: 'org/index.json'
+      }, {
+        name: 'unknown',
+        type: 'foobar'
+      }], {path: 'index.json', interval: 30000});
+
+      expect(sources.indices.map((index) => index.name)).to.deep.equal(['org', 'team']);
+      expect(sources.indices[0].status().resource).to.equal('s3://org-bucket/org/index.json');
+      expect(sources.indices[1].status().resource).to.equal('s3://team-bucket/index.json');
+      expect(sources.indices[1].interval).to.equal(30000);
+    });
   });
 
   describe('Initialization', function() {
@@ -343,6 +485,147 @@ describe('Sources', function() {
       stubs.sources.once('noupdate', () => done());
       stubs.index.emit('update');
     });
+
+    it('retains the last valid index when an index is invalid', function(done) {
+      const valid = stubs.index.sources;
+
+      stubs.sources.once('noupdate', () => {
+        expect(stubs.sources.current.order).to.deep.equal(['stub1', 'stub2']);
+        expect(stubs.sources.health().indices[0].errors).to.deep.equal([
+          'sources[0] (stub1): `type` is required',
+          'sources[1] (stub2): type `foobar` is not one of s3, consul, consul-kv, file, http, stub'
+        ]);
+
+        stubs.index.update(valid);
+        stubs.sources.once('noupdate', () => {
+          expect(stubs.sources.health().indices[0].errors).to.deep.equal([]);
+          done();
+        });
+      });
+
+      stubs.index.sources = [{name: 'stub1'}, {name: 'stub2', type: 'foobar'}];
+      stubs.index.recover();
+    });
+  });
+
+  describe('Discovery', function() {
+    const discover = (current, configs) => {
+      const sources = new Sources(new Properties());
+
+      sources.current.sources = current;
+
+      return sources._discover(configs, new Sources.Index([]), [], new Set()).order;
+    };
+
+    it('inserts declared sources after the source that declared them', function() {
+      const names = discover({
+        first: {sources: [{name: 'first-child', type: 'stub'}]},
+        'first-child': {sources: [{name: 'grandchild', type: 'stub'}]}
+      }, [{name: 'first', type: 'stub'}, {name: 'second', type: 'stub'}]);
+
+      expect(names).to.deep.equal(['first', 'first-child', 'grandchild', 'second']);
+    });
+
+    it('discovers the sources declared by unnamed sources', function() {
+      const parent = {type: 'stub', parameters: {path: 'parent.json'}};
+      const name = new Sources.Index([parent]).order[0];
+
+      expect(discover({
+        [name]: {sources: [{name: 'child', type: 'stub'}]}
+      }, [parent, {name: 'second', type: 'stub'}])).to.deep.equal([name, 'child', 'second']);
+    });
+
+    it('ignores sources that declare a cycle or a duplicate', function() {
+      const names = discover({
+        first: {sources: [{name: 'child', type: 'stub'}, {name: 'second', type: 'stub'}]},
+        child: {sources: [{name: 'first', type: 'stub'}]}
+      }, [{name: 'first', type: 'stub'}, {name: 'second', type: 'stub'}]);
+
+      expect(names).to.deep.equal(['first', 'child', 'second']);
+    });
+
+    it('ignores unnamed sources that declare a cycle or a duplicate', function() {
+      const parent = {type: 'stub', parameters: {path: 'parent.json'}};
+      const child = {type: 'stub', parameters: {path: 'child.json'}};
+      const name = new Sources.Index([parent]).order[0];
+      const first = new Sources.Index([child]).order[0];
+
+      expect(discover({[name]: {sources: [parent]}}, [parent])).to.deep.equal([name]);
+      expect(discover({
+        first: {sources: [child]},
+        second: {sources: [child]}
+      }, [{name: 'first', type: 'stub'}, {name: 'second', type: 'stub'}])).to.deep.equal(['first', first, 'second']);
+    });
+
+    it('stops discovering sources at the maximum depth', function() {
+      const current = {};
+
+      for (let i = 0; i < Sources.MAX_DEPTH + 2; i++) {
+        current[`level-${i}`] = {sources: [{name: `level-${i + 1}`, type: 'stub'}]};
+      }
+
+      expect(discover(current, [{name: 'level-0', type: 'stub'}])).to.have.length.of(Sources.MAX_DEPTH);
+    });
+
+    it('adds declared sources to the view once their parent has been fetched', function(done) {
+      this.timeout(5000);
+
+      const properties = new Properties();
+      const sources = new Sources(properties);
+
+      sources.index(new Source.IndexStub([{
+        type: 'stub',
+        name: 'parent',
+        parameters: {
+          delay: 5,
+          sources: [{type: 'stub', name: 'child', parameters: {delay: 5}}]
+        }
+      }]));
+
+      const check = () => {
+        if (!sources.current.sources.child) {
+          return;
+        }
+
+        sources.removeListener('update', check);
+        expect(sources.current.order).to.deep.equal(['parent', 'child']);
+        expect(properties.active.sources.map((source) => source.name)).to.deep.equal(['parent', 'child']);
+        done();
+      };
+
+      sources.on('update', check);
+      sources.initialize();
+    });
+
+    it('adds sources declared by an unnamed parent to the view', function(done) {
+      this.timeout(5000);
+
+      const properties = new Properties();
+      const sources = new Sources(properties);
+
+      sources.index(new Source.IndexStub([{
+        type: 'stub',
+        parameters: {
+          delay: 5,
+          sources: [{type: 'stub', name: 'child', parameters: {delay: 5}}]
+        }
+      }]));
+
+      const check = () => {
+        if (!sources.current.sources.child) {
+          return;
+        }
+
+        sources.removeListener('update', check);
+        expect(sources.current.order).to.have.length.of(2);
+        expect(sources.current.order[0]).to.match(/^stub:[0-9a-f]{16}$/);
+        expect(sources.current.order[1]).to.equal('child');
+        done();
+      };
+
+      sources.on('update', check);
+      sources.initialize();
+    });
   });
 
   describe('Health', function() {
@@ -379,5 +662,80 @@ describe('Sources', function() {
       expect(h2.code).to.equal(500);
       expect(h2.status).to.equal('ERROR');
     });
+
+    it('never degrades health for optional index entries', function() {
+      const sources = new Sources(new Properties());
+      const optional = new Source.NoExistStub('optional');
+
+      sources.properties.active = sources.properties.view([optional]);
+
+      return optional.initialize().then(() => {
+        expect(optional.state).to.equal(Source.WAITING);
+        expect(sources.health().code).to.equal(200);
+
+        optional.error();
+        expect(sources.health().code).to.equal(200);
+      });
+    });
+
+    it('degrades health until required index entries have loaded', function() {
+      const sources = new Sources(new Properties());
+      const required = new Source.Stub('required', {delay: 5});
+      const waiting = new Source.NoExistStub('waiting');
+
+      required.required = true;
+      waiting.required = true;
+      sources.properties.active = sources.properties.view([required, waiting]);
+
+      expect(sources.health().code).to.equal(500);
+
+      return Promise.all([required.initialize(), waiting.initialize()]).then(() => {
+        const health = sources.health();
+
+        expect(health.code).to.equal(500);
+        expect(health.status).to.equal(Source.WAITING);
+        expect(health.sources.map((source) => source.required)).to.deep.equal([true, true]);
+
+        waiting.recover();
+        expect(sources.health().code).to.equal(200);
+
+        required.error();
+        expect(sources.health().code).to.equal(500);
+      });
+    });
+
+    it('degrades health for required index entries that are skipped because of an error', function() {
+      const sources = new Sources(new Properties());
+      const properties = {instance: {region: 'us-east-1'}};
+
+      sources.current = new Sources.Index([
+        {name: 'optional', type: 'stub', parameters: {path: '{{ undefined }}'}},
+        {name: 'elsewhere', type: 'stub', required: true, when: 'instance:region == "us-west-2"'}
+      ], properties);
+
+      expect(sources.health().code).to.equal(200);
+      expect(sources.health().skipped.map((entry) => entry.error)).to.deep.equal([true, false]);
+
+      sources.current = new Sources.Index([
+        {name: 'secrets', type: 'stub', required: true, parameters: {path: '{{ undefined }}'}}
+      ], properties);
+
+      const health = sources.health();
+
+      expect(health.code).to.equal(500);
+      expect(health.status).to.equal(Source.ERROR);
+      expect(health.skipped[0]).to.include({name: 'secrets', required: true, error: true});
+    });
+
+    it('marks sources created from required index entries', function() {
+      const diff = Sources.Comparator.compare(new Sources.Index([]), new Sources.Index([
+        {name: 'required', type: 'stub', required: true},
+        {name: 'optional', type: 'stub'}
+      ]));
+      const index = diff.build(providers);
+
+      expect(index.sources.required.required).to.equal(true);
+      expect(index.sources.optional.required).to.equal(false);
+    });
   });
 });
@@ -79,4 +79,50 @@ describe('StringTemplate', () => {
     rendered.complex.should.equal(_template.complex);
     rendered.node.list.should.containDeep(['of', {objects: 'slap'}]);
   });
+
+  describe('Filters', () => {
+    const tags = {
+      instance: {
+        tags: {Team: ' Web-Platform ', Roles: 'web,api'}
+      }
+    };
+
+    const render = (string) => new StringTemplate(string, tags).toString();
+
+    it('substitutes a default value for undefined parameters', () => {
+      render('teams/{{ instance:tags:Owner | default "shared" }}.json').should.equal('teams/shared.json');
+      render('{{instance:tags:Team|default \'shared\'}}').should.equal(' Web-Platform ');
+    });
+
+    it('throws a ReferenceError for undefined parameters without a default', () => {
+      should.throws(() => render('{{ instance:tags:Owner | lower }}'), ReferenceError);
+    });
+
+    it('applies filters in order', () => {
+      render('{{ instance:tags:Team | trim | lower }}').should.equal('web-platform');
+      render('{{ instance:tags:Team | trim | upper | replace "-" "_" }}').should.equal('WEB_PLATFORM');
+      render('{{ instance:tags:Owner | default " Shared " | trim | lower }}').should.equal('shared');
+    });
+
+    it('splits and joins values', () => {
+      render('{{ instance:tags:Roles | split "," | join "+" }}').should.equal('web+api');
+      render('{{ instance:tags:Roles | split | join }}').should.equal('web,api');
+    });
+
+    it('URL-encodes values', () => {
+      render('q={{ instance:tags:Team | trim | urlencode }}&{{ x | default "a b/c" | urlencode }}')
+        .should.equal('q=Web-Platform&a%20b%2Fc');
+    });
+
+    it('allows `|` and escaped quotes in arguments', () => {
+      render('{{ instance:tags:Roles | replace "," "|" }}').should.equal('web|api');
+      render('{{ x | default "say \\"hi\\"" }}').should.equal('say "hi"');
+    });
+
+    it('throws a SyntaxError for unknown filters and malformed parameters', () => {
+      should.throws(() => render('{{ instance:tags:Team | shout }}'), SyntaxError);
+      should.throws(() => render('{{ instance:tags:Team | }}'), SyntaxError);
+      should.throws(() => render('{{ instance:tags:Team | default "shared }}'), SyntaxError);
+    });
+  });
 });
@@ -1,59 +1,32 @@
 'use strict';
 
-const should = require('should');
+require('should');
 const util = require('../dist/lib/util');
 
-describe('Util/getNestedProperty', function() {
-  const getNestedProperty = util.getNestedProperty;
+describe('Util/findNestedProperty', function() {
+  const findNestedProperty = util.findNestedProperty;
   const someObject = {
-    some: {
-      ips: [1, 2, 3, 4]
-    },
     cool: {
       tacos: {
-        types: ['carnitas', 'al pastor', 'steak', 'chicken', 'barbacoa', 'lengua'],
-        meats: ['pork', 'chicken', 'beef'],
-        status: 'delicious'
-      }
-    },
-    object: {
-      with: {
-        nested: {
-          keys: 'foobar'
-        }
+        types: ['carnitas', 'al pastor'],
+        status: 'delicious',
+        spicy: false
       }
     }
   };
 
   it('retrieves a nested value', function() {
-    getNestedProperty(someObject, ['cool', 'tacos', 'status']).should.equal('delicious');
-    getNestedProperty(someObject, 'object.with.nested.keys'.split('.')).should.equal('foobar');
-  });
-
-  it('returns the correct type when the nested path ends', function() {
-    getNestedProperty(someObject, 'cool.tacos.types'.split('.')).should.be.an.Array();
-    getNestedProperty(someObject, 'object.with'.split('.')).should.be.an.Object();
+    findNestedProperty(someObject, ['cool', 'tacos', 'status']).should.eql({value: 'delicious', missing: -1});
+    findNestedProperty(someObject, ['cool', 'tacos', 'types', '1']).should.eql({value: 'al pastor', missing: -1});
   });
 
-  it('retrieves a nested value at an arbitrary level', function() {
-    getNestedProperty(someObject, ['cool']).should.eql({
-      tacos: {
-        types: ['carnitas', 'al pastor', 'steak', 'chicken', 'barbacoa', 'lengua'],
-        meats: ['pork', 'chicken', 'beef'],
-        status: 'delicious'
-      }
-    });
-
-    getNestedProperty(someObject, 'object.with'.split('.')).should.eql({
-      nested: {
-        keys: 'foobar'
-      }
-    });
+  it('retrieves falsy values', function() {
+    findNestedProperty(someObject, ['cool', 'tacos', 'spicy']).should.eql({value: false, missing: -1});
   });
 
-  it('throws a TypeError with info if a key doesn\'t exist', function() {
-    should.throws(() => {
-      getNestedProperty(someObject, 'cool.burgers.status'.split('.'));
-    }, TypeError, `Key 'burgers' does not exist in object ${JSON.stringify(someObject.cool)}`);
+  it('returns the index of the first key that doesn\'t exist', function() {
+    findNestedProperty(someObject, ['cool', 'burgers', 'status']).missing.should.equal(1);
+    findNestedProperty(someObject, ['cool', 'tacos', 'status', 'length']).missing.should.equal(3);
+    findNestedProperty(someObject, ['cool', 'tacos', 'hasOwnProperty']).missing.should.equal(2);
   });
 });